@@ -39,12 +39,35 @@ function App() {
   const [comments, setComments] = React.useState([]);
   const [inputValue, setInputValue] = React.useState('');
   const [loading, setLoading] = React.useState(false);
-  const [modelLoading, setModelLoading] = React.useState(true);
-  const [countdown, setCountdown] = React.useState({ days: 0, hours: 0, minutes: 0, seconds: 0, expired: false });
+  const [manifest, setManifest] = React.useState(null);
+  const [manifestError, setManifestError] = React.useState(null);
+  const [finishId, setFinishId] = React.useState(null);
+  const [pinning, setPinning] = React.useState(false);
+  const [pendingAnchor, setPendingAnchor] = React.useState(null);
+  const [focusComment, setFocusComment] = React.useState(null);
+  const [threadCommentId, setThreadCommentId] = React.useState(null);
+  const [wallOpen, setWallOpen] = React.useState(false);
+  const [replayOpen, setReplayOpen] = React.useState(false);
+  const backgroundRef = React.useRef(null);
+  const [schedule, setSchedule] = React.useState(null);
+  const [now, setNow] = React.useState(Date.now());
   const [danmakuVisible, setDanmakuVisible] = React.useState(true);
+  const [danmakuSettings, setDanmakuSettings] = React.useState(getStoredDanmakuSettings);
+  const [blocklist, setBlocklist] = React.useState(getStoredPersonalBlocklist);
+  const [blocklistOpen, setBlocklistOpen] = React.useState(false);
+  const [loadProgress, setLoadProgress] = React.useState(null);
+  const [commentError, setCommentError] = React.useState('');
+  const [danmakuStyle, setDanmakuStyle] = React.useState(() => {
+    try {
+      return normalizeDanmakuStyle(JSON.parse(localStorage.getItem('iphone17_danmaku_style') || 'null'));
+    } catch (error) {
+      return normalizeDanmakuStyle(null);
+    }
+  });
+  const [moderationOpen, setModerationOpen] = React.useState(() => new URLSearchParams(window.location.search).has('admin'));
 
 
-  // Generate or get user ID from localStorage and start countdown
+  // Generate or get user ID from localStorage
   React.useEffect(() => {
     let uid = localStorage.getItem('iphone17_user_id');
     if (!uid) {
@@ -52,83 +75,160 @@ function App() {
       localStorage.setItem('iphone17_user_id', uid);
     }
     setUserId(uid);
+  }, []);
+
+  // Load the launch event schedule and tick the clock (honors ?now=)
+  React.useEffect(() => {
+    loadEventSchedule()
+      .then(setSchedule)
+      .catch(error => console.error('Error loading event schedule:', error));
     
-    // Countdown timer - target date: Sept 9, 2025 10:00 AM PT (PDT is UTC-7, PST is UTC-8)
-    // Since it's September, we use PDT (UTC-7)
-    const targetDate = new Date('2025-09-09T10:00:00-07:00');
-    
-    const updateCountdown = () => {
-      const now = new Date();
-      const diff = targetDate - now;
-      
-      if (diff > 0) {
-        const days = Math.floor(diff / (1000 * 60 * 60 * 24));
-        const hours = Math.floor((diff % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
-        const minutes = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
-        const seconds = Math.floor((diff % (1000 * 60)) / 1000);
-        
-        setCountdown({ days, hours, minutes, seconds, expired: false });
-      } else {
-        setCountdown({ days: 0, hours: 0, minutes: 0, seconds: 0, expired: true });
-      }
-    };
-    
-    updateCountdown();
-    const timer = setInterval(updateCountdown, 1000);
+    const clock = createEventClock();
+    setNow(clock());
+    const timer = setInterval(() => setNow(clock()), 1000);
     
     return () => clearInterval(timer);
   }, []);
 
+  // Load the product manifest that describes the 3D model
+  React.useEffect(() => {
+    loadProductManifest()
+      .then(loaded => {
+        setManifest(loaded);
+        setFinishId(getInitialFinish(loaded)?.id || null);
+      })
+      .catch(error => {
+        console.error('Error loading product manifest:', error);
+        setManifestError(error);
+      });
+  }, []);
 
+  // Current phase, recomputed every tick so phase boundaries switch without a reload
+  const { phase, next: nextPhase } = schedule ? getEventPhase(schedule, now) : { phase: null, next: null };
+  const phaseContent = phase || schedule?.phases[0] || { headline: 'iPhone 17 Pro', subtitle: '' };
+  const countdown = nextPhase && (!phase || phase.countdown) ? getCountdown(nextPhase.startTime, now) : null;
 
-
-
-
-
-  const handleSubmitComment = async (e) => {
-    e.preventDefault();
-    if (!inputValue.trim() || loading || !userId) return;
+  // Validate, store and show a comment or reply, returns an error message ('' when sent)
+  const postComment = async (text, fields = {}) => {
+    const guard = getCommentGuard();
+    const validation = guard.validateSubmission(text, userId);
+    if (!validation.ok) return validation.message;
     
-    const commentText = inputValue.trim();
-    
-    setLoading(true);
+    const commentText = validation.text;
     try {
-      const newComment = await trickleCreateObject('danmaku_comment', {
+      const newComment = await getCommentStorage().create('danmaku_comment', {
         user_id: userId,
         text: commentText,
+        style: danmakuStyle,
         created_at: new Date().toISOString(),
-        likes_count: 0
+        likes_count: 0,
+        ...fields
       });
+      guard.recordSubmission(commentText, userId);
       
-      // Add comment to local state for immediate display
-      setComments(prev => [{
-        id: newComment.objectId,
-        text: newComment.objectData.text,
-        createdAt: newComment.createdAt,
-        likesCount: newComment.objectData.likes_count || 0
-      }, ...prev.slice(0, 99)]);
-      
-      // Immediately show danmaku using window method
+      // Immediately show danmaku using window method, the manager merges it into the comment list
       if (window.addDanmaku) {
-        window.addDanmaku(commentText);
+        window.addDanmaku(commentText, toDanmakuComment(newComment));
       }
-      
-      setInputValue('');
+      return '';
     } catch (error) {
       console.error('Error submitting comment:', error);
-    } finally {
-      setLoading(false);
+      return "Couldn't send your comment. Please try again.";
+    }
+  };
+
+  const handleSubmitComment = async (e) => {
+    e.preventDefault();
+    if (!inputValue.trim() || loading || !userId) return;
+    
+    setLoading(true);
+    setCommentError('');
+    const message = await postComment(
+      inputValue,
+      pendingAnchor ? { anchor_position: pendingAnchor.position, anchor_normal: pendingAnchor.normal } : {}
+    );
+    setLoading(false);
+    
+    if (message) {
+      setCommentError(message);
+      return;
     }
+    setInputValue('');
+    setPendingAnchor(null);
   };
 
-  const handleModelLoad = () => {
-    console.log('Model loaded successfully');
-    setModelLoading(false);
+  const handleSubmitReply = (text, asDanmaku) => {
+    if (!userId) return Promise.resolve("Couldn't send your reply. Please try again.");
+    return postComment(text, { parent_id: threadCommentId, as_danmaku: asDanmaku });
   };
 
-  const handleModelError = (event) => {
-    console.log('Model loading error:', event);
-    setModelLoading(false);
+  const handleSettingsChange = (settings) => {
+    setDanmakuSettings(settings);
+    storeDanmakuSettings(settings);
+  };
+
+  const handleBlocklistChange = (list) => {
+    setBlocklist(list);
+    storePersonalBlocklist(list);
+  };
+
+  const handleBlockUser = (blockedUserId) => {
+    handleBlocklistChange(normalizePersonalBlocklist({ ...blocklist, userIds: [...blocklist.userIds, blockedUserId] }));
+  };
+
+  const handleStyleChange = (style) => {
+    setDanmakuStyle(style);
+    localStorage.setItem('iphone17_danmaku_style', JSON.stringify(style));
+  };
+
+  const finish = manifest?.variants.find(variant => variant.id === finishId) || null;
+
+  // The viewer's personal blocklist, never applied to their own comments. Built once
+  // here and passed down, so the stream, pinned banner, wall, markers and threads agree
+  const isBlocked = React.useMemo(() => {
+    const matches = createBlocklistMatcher(blocklist);
+    return (comment) => comment.userId !== userId && matches(comment);
+  }, [blocklist, userId]);
+
+  // Latest anchored comments get a marker on the model
+  const anchoredComments = comments
+    .filter(comment => comment.anchor && isCommentPlayable(comment) && !isBlocked(comment))
+    .slice(-30);
+
+  const wallComments = comments.filter(comment => !isBlocked(comment));
+
+  // Thread shown in the side panel, replies oldest first
+  const threadComment = threadCommentId ? comments.find(comment => comment.id === threadCommentId) : null;
+  const threadReplies = threadComment
+    ? comments
+      .filter(comment => comment.parentId === threadComment.id && isCommentPlayable(comment) && !isBlocked(comment))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    : [];
+
+  const handleAnchorPick = (anchor) => {
+    setPendingAnchor(anchor);
+    setPinning(false);
+  };
+
+  // Ripple the background on danmaku activity, the visitor's own comment hits hardest
+  const handleDanmakuActivity = ({ type, x, y, color }) => {
+    const strength = { spawn: 0.35, like: 0.8, reaction: 0.8, own: 1.5 }[type] || 0.5;
+    if (backgroundRef.current) {
+      backgroundRef.current.pulse({ x, y, color, strength });
+    }
+  };
+
+  // Comments picked on the wall fly again, so make sure the stream is showing
+  const handleReplayComment = (comment) => {
+    setDanmakuVisible(true);
+    if (window.replayDanmaku) {
+      window.replayDanmaku(comment);
+    }
+  };
+
+  const handleFinishChange = (id) => {
+    setFinishId(id);
+    storeFinishInUrl(id);
   };
 
   try {
@@ -136,54 +236,67 @@ function App() {
       <div className="relative min-h-screen overflow-hidden" data-name="app" data-file="app.js">
         {/* Liquid Background with black placeholder */}
         <div className="absolute inset-0 bg-black">
-          <LiquidBackground />
+          <LiquidBackground ref={backgroundRef} color={finish?.color} palette={finish?.palette} />
         </div>
         
         {/* Content */}
         <div className="relative z-10 min-h-screen flex items-center justify-center">
           <div className="p-8 text-center">
             <h1 className="text-4xl md:text-6xl mb-4 text-shadow">
-              iPhone 17 Pro
+              {phaseContent.headline}
             </h1>
-            <p className="text-lg md:text-xl text-white text-opacity-80 font-light mb-2">
-              Launching Soon • Sept 9, 10 AM PT • Revolutionary Design
-            </p>
+            {phaseContent.subtitle && (
+              <p className="text-lg md:text-xl text-white text-opacity-80 font-light mb-2">
+                {getPhaseSubtitle(phaseContent, schedule?.event)}
+              </p>
+            )}
             
             {/* Countdown Timer */}
-            {!countdown.expired && (
+            {countdown && !countdown.expired && (
               <div className="text-2xl md:text-3xl font-bold text-white mb-6 text-shadow">
                 {countdown.days}d {countdown.hours.toString().padStart(2, '0')}h{' '}
                 {countdown.minutes.toString().padStart(2, '0')}m{' '}
                 {countdown.seconds.toString().padStart(2, '0')}s
               </div>
             )}
-            <div className="w-80 h-80 md:w-96 md:h-96 mx-auto mb-6 relative glass-effect">
-              {modelLoading && (
-                <div className="absolute inset-0 flex items-center justify-center z-10">
-                  <div className="text-white text-lg font-medium">Loading...</div>
-                </div>
-              )}
-              <model-viewer
-                src="https://devproto.trickle.so/storage/public/images/usr_09073b5640000001/b22bb0b4-ba00-4068-92ba-ca6fe2ca22b3.glb"
-                alt="iPhone 17 Pro 3D Model - Interactive 3D Preview"
-                auto-rotate
-                camera-controls
-                style={{width: '100%', height: '100%'}}
-                loading="eager"
-                ref={(el) => {
-                  if (el) {
-                    el.addEventListener('load', handleModelLoad);
-                    el.addEventListener('error', handleModelError);
-                  }
-                }}
-              ></model-viewer>
-            </div>
+            
+            {/* Event time, calendar export and reminder */}
+            {schedule?.event && (
+              <EventActions event={schedule.event} now={now} />
+            )}
+            
+            {/* Phase call to action */}
+            {phaseContent.cta && (
+              <a
+                href={phaseContent.cta.href}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="inline-block mb-6 px-6 py-2 rounded-full bg-white bg-opacity-20 text-white font-medium hover:bg-opacity-30 transition-all duration-300"
+              >
+                {phaseContent.cta.label}
+              </a>
+            )}
+            <ProductViewer
+              manifest={manifest}
+              error={manifestError}
+              finish={finish}
+              anchoredComments={anchoredComments}
+              focusComment={focusComment}
+              pinning={pinning}
+              pendingAnchor={pendingAnchor}
+              onAnchorPick={handleAnchorPick}
+              onPinningChange={setPinning}
+              onOpenThread={setThreadCommentId}
+            />
+            {manifest && (
+              <FinishPicker variants={manifest.variants} value={finishId} onChange={handleFinishChange} />
+            )}
             <p className="hidden md:block text-base md:text-lg text-white text-opacity-90 font-light mb-6">
               Experience unprecedented performance and innovation.<br/>
               The most advanced iPhone ever created.
             </p>
             {/* Comment Input with Toggle Button */}
-            <form onSubmit={handleSubmitComment} className="flex items-center gap-3 max-w-md mx-auto">
+            <form onSubmit={handleSubmitComment} className="flex items-center gap-3 max-w-md mx-auto" data-danmaku-exclude>
               <button
                 type="button"
                 onClick={() => setDanmakuVisible(!danmakuVisible)}
@@ -192,13 +305,45 @@ function App() {
               >
                 <div className={`icon-${danmakuVisible ? 'eye-off' : 'eye'} text-sm`}></div>
               </button>
+              <DanmakuSettingsPicker
+                value={danmakuSettings}
+                onChange={handleSettingsChange}
+                onOpenBlocklist={() => setBlocklistOpen(true)}
+              />
+              <button
+                type="button"
+                onClick={() => setWallOpen(!wallOpen)}
+                className="w-10 h-10 rounded-full glass-effect text-white hover:bg-white hover:bg-opacity-20 transition-all duration-300 flex items-center justify-center"
+                title={wallOpen ? 'Close comment wall' : 'Open comment wall'}
+                aria-expanded={wallOpen}
+              >
+                <div className="icon-list text-sm"></div>
+              </button>
+              <button
+                type="button"
+                onClick={() => {
+                  setReplayOpen(!replayOpen);
+                  setDanmakuVisible(true);
+                }}
+                className={`w-10 h-10 rounded-full glass-effect text-white hover:bg-white hover:bg-opacity-20 transition-all duration-300 flex items-center justify-center ${replayOpen ? 'bg-white bg-opacity-20' : ''}`}
+                title={replayOpen ? 'Back to live' : 'Replay the comment stream'}
+                aria-pressed={replayOpen}
+              >
+                <div className="icon-history text-sm"></div>
+              </button>
+              <DanmakuStylePicker value={danmakuStyle} onChange={handleStyleChange} />
               <input
                 type="text"
                 value={inputValue}
-                onChange={(e) => setInputValue(e.target.value)}
+                onChange={(e) => {
+                  setInputValue(e.target.value);
+                  setCommentError('');
+                }}
                 placeholder="Share your thoughts..."
                 className="flex-1 px-4 py-2 rounded-full glass-effect text-white placeholder-white placeholder-opacity-70 border-0 outline-0"
                 disabled={loading}
+                aria-invalid={Boolean(commentError)}
+                aria-describedby={commentError ? 'comment-error' : undefined}
               />
               <button
                 type="submit"
@@ -209,6 +354,37 @@ function App() {
               </button>
             </form>
             
+            {/* Surface point the next comment is pinned to */}
+            {pendingAnchor && (
+              <div className="mt-2 inline-flex items-center gap-2 px-3 py-1 rounded-full glass-effect text-xs text-white">
+                <div className="icon-map-pin text-xs"></div>
+                Pinned to the model
+                <button
+                  type="button"
+                  onClick={() => setPendingAnchor(null)}
+                  className="text-white text-opacity-70 hover:text-opacity-100"
+                  aria-label="Remove pin"
+                >
+                  <div className="icon-x text-xs"></div>
+                </button>
+              </div>
+            )}
+            
+            {/* Inline feedback for rejected comments */}
+            {commentError && (
+              <p id="comment-error" role="alert" className="mt-2 text-sm text-red-300 text-shadow">
+                {commentError}
+              </p>
+            )}
+            
+            {/* Comment history load progress */}
+            {loadProgress && !loadProgress.done && (
+              <p className="mt-2 text-xs text-white text-opacity-60">
+                Loading comment history: {loadProgress.loaded}
+                {loadProgress.total !== null ? ` of ${loadProgress.total}` : ''} loaded
+              </p>
+            )}
+            
             {/* Remix Button */}
             <div className="mt-4 w-full max-w-md mx-auto">
               <a
@@ -227,8 +403,51 @@ function App() {
         <DanmakuManager
           userId={userId}
           onCommentsUpdate={setComments}
+          onLoadProgress={setLoadProgress}
           visible={danmakuVisible}
+          onShowOnModel={setFocusComment}
+          onActivity={handleDanmakuActivity}
+          onOpenThread={setThreadCommentId}
+          replay={replayOpen}
+          settings={danmakuSettings}
+          isBlocked={isBlocked}
+          onBlockUser={handleBlockUser}
+          onReplayClose={() => setReplayOpen(false)}
         />
+        
+        {wallOpen && (
+          <CommentWall
+            comments={wallComments}
+            onReplay={handleReplayComment}
+            onOpenThread={setThreadCommentId}
+            onClose={() => setWallOpen(false)}
+          />
+        )}
+        
+        {threadComment && (
+          <ThreadPanel
+            comment={threadComment}
+            replies={threadReplies}
+            onReply={handleSubmitReply}
+            onClose={() => setThreadCommentId(null)}
+          />
+        )}
+        
+        {blocklistOpen && (
+          <BlocklistPanel
+            value={blocklist}
+            onChange={handleBlocklistChange}
+            onClose={() => setBlocklistOpen(false)}
+          />
+        )}
+        
+        {/* Moderation Console (?admin) */}
+        {moderationOpen && (
+          <ModerationConsole
+            userId={userId}
+            onClose={() => setModerationOpen(false)}
+          />
+        )}
       </div>
     );
   } catch (error) {
@@ -0,0 +1,169 @@
+/**
+ * Blocklist Panel Component
+ * Side panel for the viewer's personal blocklist: keywords, regular expressions
+ * and blocked users, with JSON import and export
+ */
+function BlocklistPanel({ value, onChange, onClose }) {
+  const [kind, setKind] = React.useState('keywords');
+  const [entry, setEntry] = React.useState('');
+  const [error, setError] = React.useState('');
+  const [importMessage, setImportMessage] = React.useState('');
+  const fileInputRef = React.useRef(null);
+  const blocklist = normalizePersonalBlocklist(value);
+
+  const sections = [
+    { id: 'keywords', label: 'Keywords', placeholder: 'Hide comments containing...' },
+    { id: 'patterns', label: 'Regex', placeholder: 'e.g. ^first!*$' },
+    { id: 'userIds', label: 'Users', placeholder: 'user_id' }
+  ];
+  const activeSection = sections.find(section => section.id === kind);
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const trimmed = entry.trim();
+    if (!trimmed) return;
+    if (kind === 'patterns' && !isValidBlockPattern(trimmed)) {
+      setError('That regular expression is not valid.');
+      return;
+    }
+    onChange(normalizePersonalBlocklist({ ...blocklist, [kind]: [...blocklist[kind], trimmed] }));
+    setEntry('');
+    setError('');
+  };
+
+  const handleRemove = (listKey, item) => {
+    onChange({ ...blocklist, [listKey]: blocklist[listKey].filter(candidate => candidate !== item) });
+  };
+
+  // Imported entries are merged into the current list
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const imported = parsePersonalBlocklist(await file.text());
+      onChange(normalizePersonalBlocklist({
+        keywords: [...blocklist.keywords, ...imported.keywords],
+        patterns: [...blocklist.patterns, ...imported.patterns],
+        userIds: [...blocklist.userIds, ...imported.userIds]
+      }));
+      setImportMessage(`Imported ${imported.keywords.length + imported.patterns.length + imported.userIds.length} entries.`);
+    } catch (importError) {
+      console.error('[BlocklistPanel] Import failed:', importError);
+      setImportMessage(importError.message);
+    }
+  };
+
+  try {
+    return (
+      <div
+        className="fixed top-0 right-0 bottom-0 z-[60] w-full max-w-md p-4 flex flex-col gap-3 bg-black bg-opacity-80 backdrop-blur-md text-white text-sm"
+        data-name="blocklist-panel"
+        data-file="components/BlocklistPanel.js"
+      >
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-bold flex items-center gap-2">
+            <div className="icon-ban text-base"></div>
+            Blocked
+          </h2>
+          <button type="button" onClick={onClose} className="w-8 h-8 rounded-full glass-effect flex items-center justify-center" title="Close">
+            <div className="icon-x text-sm"></div>
+          </button>
+        </div>
+
+        <p className="text-white text-opacity-60">Matching comments are hidden from your stream only.</p>
+
+        <form onSubmit={handleAdd} className="flex flex-col gap-2">
+          <div className="flex gap-2" role="group" aria-label="Entry type">
+            {sections.map(section => (
+              <button
+                key={section.id}
+                type="button"
+                onClick={() => {
+                  setKind(section.id);
+                  setError('');
+                }}
+                className={`px-3 py-1 rounded-full ${kind === section.id ? 'bg-white bg-opacity-30' : 'glass-effect hover:bg-white hover:bg-opacity-20'}`}
+                aria-pressed={kind === section.id}
+              >
+                {section.label}
+              </button>
+            ))}
+          </div>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={entry}
+              onChange={(e) => {
+                setEntry(e.target.value);
+                setError('');
+              }}
+              placeholder={activeSection.placeholder}
+              className="flex-1 px-4 py-2 rounded-full glass-effect text-white placeholder-white placeholder-opacity-70 border-0 outline-0"
+              aria-invalid={Boolean(error)}
+            />
+            <button
+              type="submit"
+              disabled={!entry.trim()}
+              className="px-4 py-2 rounded-full bg-white bg-opacity-20 hover:bg-opacity-30 disabled:opacity-50"
+            >
+              Add
+            </button>
+          </div>
+          {error && <p role="alert" className="text-red-300">{error}</p>}
+        </form>
+
+        <div className="flex-1 overflow-y-auto flex flex-col gap-3">
+          {sections.map(section => (
+            <div key={section.id} className="flex flex-col gap-1">
+              <span className="text-white text-opacity-70">{section.label}</span>
+              {blocklist[section.id].length === 0 ? (
+                <span className="text-xs text-white text-opacity-50">None</span>
+              ) : (
+                <div className="flex flex-wrap gap-1">
+                  {blocklist[section.id].map(item => (
+                    <span key={item} className="flex items-center gap-1 px-3 py-1 rounded-full bg-white bg-opacity-10 break-all">
+                      {section.id === 'patterns' ? `/${item}/` : item}
+                      <button
+                        type="button"
+                        onClick={() => handleRemove(section.id, item)}
+                        className="text-white text-opacity-70 hover:text-opacity-100"
+                        aria-label={`Unblock ${item}`}
+                      >
+                        <div className="icon-x text-xs"></div>
+                      </button>
+                    </span>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2">
+          <button
+            type="button"
+            onClick={() => exportPersonalBlocklist(blocklist)}
+            className="flex items-center gap-2 px-4 py-2 rounded-full glass-effect hover:bg-white hover:bg-opacity-20"
+          >
+            <div className="icon-download text-sm"></div>
+            Export
+          </button>
+          <button
+            type="button"
+            onClick={() => fileInputRef.current.click()}
+            className="flex items-center gap-2 px-4 py-2 rounded-full glass-effect hover:bg-white hover:bg-opacity-20"
+          >
+            <div className="icon-upload text-sm"></div>
+            Import
+          </button>
+          <input ref={fileInputRef} type="file" accept="application/json,.json" className="hidden" onChange={handleImport} />
+          {importMessage && <span className="text-xs text-white text-opacity-70">{importMessage}</span>}
+        </div>
+      </div>
+    );
+  } catch (renderError) {
+    console.error('BlocklistPanel component error:', renderError);
+    return null;
+  }
+}
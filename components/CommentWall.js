@@ -0,0 +1,181 @@
+/**
+ * Comment Wall Component
+ * Drawer listing every loaded comment so nothing is lost once it has flown past.
+ * Sort by newest, most liked or most replied, search the text, and click an entry
+ * to fire it across the screen again as a highlighted danmaku.
+ */
+
+const COMMENT_WALL_PAGE_SIZE = 40;
+
+const COMMENT_WALL_SORTS = [
+  { id: 'newest', label: 'Newest' },
+  { id: 'liked', label: 'Most liked' },
+  { id: 'replied', label: 'Most replied' }
+];
+
+function CommentWall({ comments = [], onReplay, onOpenThread, onClose }) {
+  const [sort, setSort] = React.useState('newest');
+  const [query, setQuery] = React.useState('');
+  const [visibleCount, setVisibleCount] = React.useState(COMMENT_WALL_PAGE_SIZE);
+  const [replayedId, setReplayedId] = React.useState(null);
+  const listRef = React.useRef(null);
+  const sentinelRef = React.useRef(null);
+
+  const playable = comments.filter(isCommentPlayable);
+
+  const replyCounts = new Map();
+  playable.forEach(comment => {
+    if (comment.parentId) replyCounts.set(comment.parentId, (replyCounts.get(comment.parentId) || 0) + 1);
+  });
+
+  // Every search term has to appear in the text, in any order
+  const terms = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  const matches = terms.length === 0
+    ? playable
+    : playable.filter(comment => {
+      const text = comment.text.toLowerCase();
+      return terms.every(term => text.includes(term));
+    });
+
+  const byNewest = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+  const sorted = [...matches].sort({
+    newest: byNewest,
+    liked: (a, b) => (b.likesCount - a.likesCount) || byNewest(a, b),
+    replied: (a, b) => ((replyCounts.get(b.id) || 0) - (replyCounts.get(a.id) || 0)) || byNewest(a, b)
+  }[sort]);
+  const visible = sorted.slice(0, visibleCount);
+  const hasMore = sorted.length > visibleCount;
+
+  // Start from the top again whenever the list is re-sorted or re-filtered
+  React.useEffect(() => {
+    setVisibleCount(COMMENT_WALL_PAGE_SIZE);
+    if (listRef.current) listRef.current.scrollTop = 0;
+  }, [sort, query]);
+
+  // Infinite scroll: render the next page once the end of the list comes into view
+  React.useEffect(() => {
+    if (!hasMore || !sentinelRef.current || !window.IntersectionObserver) return;
+    const observer = new IntersectionObserver(entries => {
+      if (entries[0].isIntersecting) {
+        setVisibleCount(count => count + COMMENT_WALL_PAGE_SIZE);
+      }
+    }, { root: listRef.current, rootMargin: '200px' });
+
+    observer.observe(sentinelRef.current);
+    return () => observer.disconnect();
+  }, [hasMore, visibleCount]);
+
+  // Briefly mark the entry that was sent back to the stream
+  React.useEffect(() => {
+    if (!replayedId) return;
+    const timer = setTimeout(() => setReplayedId(null), 1500);
+    return () => clearTimeout(timer);
+  }, [replayedId]);
+
+  const handleReplay = (comment) => {
+    onReplay(comment);
+    setReplayedId(comment.id);
+  };
+
+  const formatTime = (createdAt) => new Date(createdAt).toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+
+  try {
+    return (
+      <div
+        className="fixed top-0 left-0 bottom-0 z-[60] w-full max-w-md p-4 flex flex-col gap-3 bg-black bg-opacity-80 backdrop-blur-md text-white text-sm"
+        data-name="comment-wall"
+        data-file="components/CommentWall.js"
+      >
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-bold flex items-center gap-2">
+            <div className="icon-list text-base"></div>
+            Comments
+            <span className="text-sm font-normal text-white text-opacity-60">{matches.length}</span>
+          </h2>
+          <button type="button" onClick={onClose} className="w-8 h-8 rounded-full glass-effect flex items-center justify-center" title="Close">
+            <div className="icon-x text-sm"></div>
+          </button>
+        </div>
+
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search comments..."
+          className="px-4 py-2 rounded-full glass-effect text-white placeholder-white placeholder-opacity-70 border-0 outline-0"
+          aria-label="Search comments"
+        />
+
+        <div className="flex gap-2" role="group" aria-label="Sort comments">
+          {COMMENT_WALL_SORTS.map(option => (
+            <button
+              key={option.id}
+              type="button"
+              onClick={() => setSort(option.id)}
+              className={`px-3 py-1 rounded-full ${sort === option.id ? 'bg-white bg-opacity-30' : 'glass-effect hover:bg-white hover:bg-opacity-20'}`}
+              aria-pressed={sort === option.id}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        <div ref={listRef} className="flex-1 overflow-y-auto flex flex-col gap-2">
+          {visible.length === 0 ? (
+            <p className="text-white text-opacity-60">
+              {terms.length > 0 ? 'No comments match your search.' : 'No comments yet.'}
+            </p>
+          ) : visible.map(comment => {
+            const replies = replyCounts.get(comment.id) || 0;
+            return (
+              <div
+                key={comment.id}
+                className={`p-3 rounded-xl cursor-pointer transition-all duration-200 ${replayedId === comment.id ? 'bg-white bg-opacity-30' : 'bg-white bg-opacity-10 hover:bg-opacity-20'}`}
+                onClick={() => handleReplay(comment)}
+                title="Show in the stream again"
+              >
+                <p className="break-words" style={{ color: getDanmakuColor(comment.style?.color) }}>
+                  {comment.parentId && <span className="text-white text-opacity-60">↪ </span>}
+                  {comment.text}
+                </p>
+                <div className="mt-1 flex items-center gap-3 text-xs text-white text-opacity-60">
+                  <span>{formatTime(comment.createdAt)}</span>
+                  {comment.likesCount > 0 && (
+                    <span className="flex items-center gap-1">
+                      <div className="icon-heart text-xs"></div>
+                      {comment.likesCount}
+                    </span>
+                  )}
+                  {onOpenThread && (
+                    <button
+                      type="button"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        onOpenThread(comment.parentId || comment.id);
+                      }}
+                      className="flex items-center gap-1 hover:text-opacity-100"
+                      title="Open thread"
+                    >
+                      <div className="icon-message-circle text-xs"></div>
+                      {replies > 0 ? replies : comment.parentId ? 'Thread' : 'Reply'}
+                    </button>
+                  )}
+                  {replayedId === comment.id && <span className="ml-auto">Sent to the stream</span>}
+                </div>
+              </div>
+            );
+          })}
+          {hasMore && <div ref={sentinelRef} className="h-4 shrink-0"></div>}
+        </div>
+      </div>
+    );
+  } catch (error) {
+    console.error('CommentWall component error:', error);
+    return null;
+  }
+}
@@ -0,0 +1,483 @@
+/**
+ * Danmaku Canvas Component
+ * Alternative to rendering one DanmakuComment per comment: draws every active
+ * danmaku onto a single overlay canvas in one animation loop.
+ *
+ * - Text widths come from the shared measure cache (measureDanmakuText)
+ * - The canvas never takes pointer events; hover and clicks are hit-tested from
+ *   window listeners so the page underneath stays usable. A point only counts as
+ *   a hit when nothing interactive or stacked above the canvas is there, and
+ *   while the stream is hidden the loop stops and the listeners are removed;
+ *   items still finish on time then, checked once a second without drawing
+ * - Hovering (or tapping) a comment pauses it and shows its chips: the heart
+ *   toggles the like, emoji chips toggle reactions, the speech bubble opens the
+ *   thread, for comments anchored to the 3D model the pin turns the model to it,
+ *   and the block chip hides everything from the comment's author
+ */
+
+// Elements whose clicks always go to the page, even with a danmaku drawn over them
+const DANMAKU_CANVAS_PASS_THROUGH = 'a, button, input, select, textarea, label, summary, [role="button"], [contenteditable="true"]';
+
+// Pick 'canvas' on devices likely to struggle with many DOM nodes and blur effects
+function pickDanmakuRenderer(preference = 'auto') {
+  const fromUrl = new URLSearchParams(window.location.search).get('renderer');
+  const choice = fromUrl || preference;
+  if (choice === 'dom' || choice === 'canvas') return choice;
+
+  const lowCores = (navigator.hardwareConcurrency || 8) <= 4;
+  const lowMemory = (navigator.deviceMemory || 8) <= 4;
+  const coarsePointer = window.matchMedia && window.matchMedia('(pointer: coarse)').matches;
+  return lowCores || lowMemory || coarsePointer ? 'canvas' : 'dom';
+}
+
+function DanmakuCanvas({
+  danmaku = [],
+  isLiked,
+  onComplete,
+  onLike,
+  onShowOnModel,
+  getReplyCount,
+  onOpenThread,
+  hasReacted,
+  onReact,
+  fontScale = 1,
+  duration = DANMAKU_DEFAULT_DURATION,
+  viewerId,
+  onBlockUser,
+  visible = true
+}) {
+  const canvasRef = React.useRef(null);
+  const itemsRef = React.useRef(new Map());
+  const frameRef = React.useRef(null);
+  const hoveredRef = React.useRef(null);
+  const fontFamilyRef = React.useRef(null);
+  const onCompleteRef = React.useRef(onComplete);
+  onCompleteRef.current = onComplete;
+  const onShowOnModelRef = React.useRef(onShowOnModel);
+  onShowOnModelRef.current = onShowOnModel;
+  const getReplyCountRef = React.useRef(getReplyCount);
+  getReplyCountRef.current = getReplyCount;
+  const onOpenThreadRef = React.useRef(onOpenThread);
+  onOpenThreadRef.current = onOpenThread;
+  const onReactRef = React.useRef(onReact);
+  onReactRef.current = onReact;
+  const fontScaleRef = React.useRef(fontScale);
+  fontScaleRef.current = fontScale;
+  const visibleRef = React.useRef(visible);
+  visibleRef.current = visible;
+  const viewerIdRef = React.useRef(viewerId);
+  viewerIdRef.current = viewerId;
+  const onBlockUserRef = React.useRef(onBlockUser);
+  onBlockUserRef.current = onBlockUser;
+
+  if (!fontFamilyRef.current) {
+    fontFamilyRef.current = window.getComputedStyle(document.body).fontFamily || 'sans-serif';
+  }
+
+  const getFontSize = () => (window.innerWidth < 768 ? 16 : 20); // text-base / md:text-xl
+
+  // Action chips after the text bubble; hover-only chips don't count towards the travel width
+  const getChips = (item, hovered, font, fontSize, padding) => {
+    const chipWidth = (count) => padding * 1.5 + fontSize + (count > 0 ? 4 + measureDanmakuText(String(count), font) : 0);
+    const replies = item.commentId && getReplyCountRef.current ? getReplyCountRef.current(item.commentId) : 0;
+    const chips = [];
+
+    if (item.likes > 0 || hovered) {
+      chips.push({ kind: 'like', glyph: '♥', count: item.likes, width: chipWidth(item.likes), sticky: item.likes > 0 });
+    }
+    if (item.commentId && onReactRef.current) {
+      getDanmakuReactions().forEach(reaction => {
+        const count = item.reactionCounts[reaction.id] || 0;
+        if (count > 0 || hovered) {
+          chips.push({ kind: 'reaction', reactionId: reaction.id, glyph: reaction.emoji, count, width: chipWidth(count), sticky: count > 0 });
+        }
+      });
+    }
+    if (item.commentId && onOpenThreadRef.current && (replies > 0 || hovered)) {
+      chips.push({ kind: 'reply', glyph: '💬', count: replies, width: chipWidth(replies), sticky: replies > 0 });
+    }
+    if (item.anchor && hovered && onShowOnModelRef.current) {
+      chips.push({ kind: 'pin', glyph: '📍', count: 0, width: chipWidth(0), sticky: false });
+    }
+    if (item.userId && item.userId !== viewerIdRef.current && hovered && onBlockUserRef.current) {
+      chips.push({ kind: 'block', glyph: '🚫', count: 0, width: chipWidth(0), sticky: false });
+    }
+    return chips;
+  };
+
+  // Size and position of one item at a point in time
+  const getGeometry = (item, now) => {
+    const screenWidth = window.innerWidth;
+    const elapsed = (item.pausedAt || now) - item.startedAt - item.pausedTotal;
+    const progress = Math.min(1, Math.max(0, elapsed / item.duration));
+    const scale = item.scale * fontScaleRef.current;
+    const fontSize = getFontSize() * scale;
+    const padding = 16 * scale;
+    const font = `500 ${fontSize}px ${fontFamilyRef.current}`;
+    const textWidth = measureDanmakuText(item.text, font);
+    const height = fontSize * 1.4 + padding;
+    const bubbleWidth = textWidth + padding * 2;
+    const chips = getChips(item, hoveredRef.current === item.id, font, fontSize, padding);
+    const width = chips.reduce((total, chip) => total + 8 + chip.width, bubbleWidth);
+    // Hover-only chips must not shift the item along its path
+    const travelWidth = chips.filter(chip => chip.sticky).reduce((total, chip) => total + 8 + chip.width, bubbleWidth);
+
+    let x;
+    let alpha = 1;
+    if (isFixedDanmakuMode(item.style.mode)) {
+      x = (screenWidth - travelWidth) / 2;
+      alpha = progress < 0.05 ? progress / 0.05 : progress > 0.9 ? (1 - progress) / 0.1 : 1;
+    } else if (item.style.mode === 'reverse') {
+      x = -travelWidth + (screenWidth + travelWidth) * progress;
+    } else {
+      x = screenWidth - (screenWidth + travelWidth) * progress;
+    }
+
+    // Chip positions for drawing and hit-testing
+    let chipX = x + bubbleWidth;
+    chips.forEach(chip => {
+      chip.x = chipX + 8;
+      chipX = chip.x + chip.width;
+    });
+
+    return { x, y: item.top, width, height, textWidth, bubbleWidth, chips, font, fontSize, padding, alpha, progress };
+  };
+
+  const roundRect = (ctx, x, y, width, height) => {
+    const radius = height / 2;
+    ctx.beginPath();
+    ctx.moveTo(x + radius, y);
+    ctx.arcTo(x + width, y, x + width, y + height, radius);
+    ctx.arcTo(x + width, y + height, x, y + height, radius);
+    ctx.arcTo(x, y + height, x, y, radius);
+    ctx.arcTo(x, y, x + width, y, radius);
+    ctx.closePath();
+  };
+
+  const drawItem = (ctx, item, geometry) => {
+    const { x, y, height, bubbleWidth, chips, font, fontSize, padding, alpha } = geometry;
+    const hovered = hoveredRef.current === item.id;
+
+    ctx.globalAlpha = alpha;
+    ctx.font = font;
+    ctx.textBaseline = 'middle';
+
+    // Text bubble (flat stand-in for the glass effect)
+    roundRect(ctx, x, y, bubbleWidth, height);
+    ctx.fillStyle = hovered || item.highlighted ? 'rgba(255, 255, 255, 0.25)' : 'rgba(255, 255, 255, 0.1)';
+    ctx.fill();
+    ctx.strokeStyle = item.highlighted ? '#ffffff' : 'rgba(255, 255, 255, 0.2)';
+    ctx.lineWidth = item.highlighted ? 2 : 1;
+    ctx.stroke();
+    ctx.fillStyle = getDanmakuColor(item.style.color);
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
+    ctx.shadowBlur = 4;
+    ctx.fillText(item.text, x + padding, y + height / 2);
+    ctx.shadowBlur = 0;
+
+    // Like, reaction, reply, "show on model" and block chips
+    chips.forEach(chip => {
+      const active = chip.kind === 'like' && item.liked;
+      const reacted = chip.kind === 'reaction' && item.myReactions.has(chip.reactionId);
+      roundRect(ctx, chip.x, y, chip.width, height);
+      ctx.fillStyle = active ? 'rgba(239, 68, 68, 0.3)' : reacted ? 'rgba(255, 255, 255, 0.3)' : 'rgba(255, 255, 255, 0.1)';
+      ctx.fill();
+      ctx.fillStyle = active ? '#f87171' : '#ffffff';
+      ctx.fillText(chip.glyph, chip.x + padding * 0.75, y + height / 2);
+      if (chip.count > 0) {
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(String(chip.count), chip.x + padding * 0.75 + fontSize + 4, y + height / 2);
+      }
+    });
+
+    ctx.globalAlpha = 1;
+  };
+
+  const completeItems = (ids) => {
+    ids.forEach(id => {
+      itemsRef.current.delete(id);
+      if (onCompleteRef.current) onCompleteRef.current(id);
+    });
+  };
+
+  const render = () => {
+    frameRef.current = null;
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    const now = performance.now();
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    const finished = [];
+    itemsRef.current.forEach(item => {
+      const geometry = getGeometry(item, now);
+      item.geometry = geometry;
+      if (geometry.progress >= 1) {
+        finished.push(item.id);
+        return;
+      }
+      drawItem(ctx, item, geometry);
+    });
+
+    completeItems(finished);
+
+    if (itemsRef.current.size > 0 && visibleRef.current) {
+      frameRef.current = requestAnimationFrame(render);
+    }
+  };
+
+  const ensureLoop = () => {
+    if (!frameRef.current && visibleRef.current) {
+      frameRef.current = requestAnimationFrame(render);
+    }
+  };
+
+  // Track new danmaku from props
+  React.useEffect(() => {
+    const now = performance.now();
+    const activeIds = new Set(danmaku.map(entry => entry.id));
+
+    danmaku.forEach(entry => {
+      const existing = itemsRef.current.get(entry.id);
+      if (existing) {
+        existing.top = entry.top;
+        return;
+      }
+      const style = normalizeDanmakuStyle(entry.style);
+      const reactionCounts = entry.reactionCounts || {};
+      itemsRef.current.set(entry.id, {
+        id: entry.id,
+        text: entry.text,
+        commentId: entry.commentId,
+        anchor: entry.anchor || null,
+        parentId: entry.parentId || null,
+        userId: entry.userId || null,
+        highlighted: Boolean(entry.highlighted),
+        top: entry.top,
+        style,
+        duration: entry.duration || 16000,
+        likes: entry.likesCount || 0,
+        liked: entry.commentId && isLiked ? isLiked(entry.commentId) : false,
+        reactionCounts,
+        myReactions: new Set(entry.commentId && hasReacted
+          ? getDanmakuReactions().filter(reaction => hasReacted(entry.commentId, reaction.id)).map(reaction => reaction.id)
+          : []),
+        scale: getDanmakuScale(getReactionScore(entry.likesCount || 0, reactionCounts)) * DANMAKU_SIZES[style.size],
+        startedAt: now,
+        pausedAt: null,
+        pausedTotal: 0
+      });
+    });
+
+    // Drop items removed by the manager (e.g. moderated comments)
+    itemsRef.current.forEach((_, id) => {
+      if (!activeIds.has(id)) itemsRef.current.delete(id);
+    });
+
+    ensureLoop();
+  }, [danmaku]);
+
+  // Speed changes in the viewer settings: scrolling items keep their progress at the new pace
+  React.useEffect(() => {
+    const now = performance.now();
+    itemsRef.current.forEach(item => {
+      if (isFixedDanmakuMode(item.style.mode) || item.duration === duration) return;
+      const at = item.pausedAt || now;
+      const progress = (at - item.startedAt - item.pausedTotal) / item.duration;
+      item.duration = duration;
+      item.startedAt = at - item.pausedTotal - progress * duration;
+    });
+    ensureLoop();
+  }, [duration, fontScale]);
+
+  // Canvas size follows the viewport and device pixel ratio
+  React.useEffect(() => {
+    const resize = () => {
+      const canvas = canvasRef.current;
+      if (!canvas) return;
+      const ratio = Math.min(window.devicePixelRatio || 1, 2);
+      canvas.width = window.innerWidth * ratio;
+      canvas.height = window.innerHeight * ratio;
+      canvas.getContext('2d').setTransform(ratio, 0, 0, ratio, 0, 0);
+      ensureLoop();
+    };
+
+    resize();
+    window.addEventListener('resize', resize);
+    return () => {
+      window.removeEventListener('resize', resize);
+      if (frameRef.current) cancelAnimationFrame(frameRef.current);
+    };
+  }, []);
+
+  // Whether the page has something of its own at this point: an interactive
+  // element, or a layer stacked above the canvas (side panels, popovers, banners)
+  const isCoveredAt = (x, y) => {
+    const canvas = canvasRef.current;
+    const target = document.elementFromPoint(x, y);
+    if (!canvas || !target) return true;
+    if (target.closest(DANMAKU_CANVAS_PASS_THROUGH)) return true;
+
+    const canvasZ = Number(window.getComputedStyle(canvas).zIndex) || 0;
+    for (let element = target; element && element !== document.body; element = element.parentElement) {
+      const style = window.getComputedStyle(element);
+      const zIndex = Number(style.zIndex);
+      if (style.position !== 'static' && Number.isFinite(zIndex) && zIndex >= canvasZ) return true;
+    }
+    return false;
+  };
+
+  const hitTest = (x, y) => {
+    if (!visibleRef.current) return null;
+    let hit = null;
+    itemsRef.current.forEach(item => {
+      const geometry = item.geometry;
+      if (!geometry) return;
+      if (x >= geometry.x && x <= geometry.x + geometry.width && y >= geometry.y && y <= geometry.y + geometry.height) {
+        const chip = geometry.chips.find(candidate => x >= candidate.x && x <= candidate.x + candidate.width);
+        hit = { item, chip: chip ? chip.kind : null, reactionId: chip ? chip.reactionId : null };
+      }
+    });
+    return hit && !isCoveredAt(x, y) ? hit : null;
+  };
+
+  const setHovered = (item) => {
+    const previous = hoveredRef.current ? itemsRef.current.get(hoveredRef.current) : null;
+    if (previous === item) return;
+    const now = performance.now();
+
+    // Resume the previously hovered item, pause the new one
+    if (previous && previous.pausedAt) {
+      previous.pausedTotal += now - previous.pausedAt;
+      previous.pausedAt = null;
+    }
+    if (item) item.pausedAt = now;
+
+    hoveredRef.current = item ? item.id : null;
+    document.body.style.cursor = item ? 'pointer' : '';
+    ensureLoop();
+  };
+
+  const toggleLike = async (item) => {
+    if (!item.commentId || item.pending || !onLike) return;
+    const previous = { liked: item.liked, likes: item.likes };
+
+    // Optimistic update, replaced by the count confirmed by storage
+    item.pending = true;
+    item.liked = !item.liked;
+    item.likes = Math.max(0, item.likes + (item.liked ? 1 : -1));
+    ensureLoop();
+
+    const result = await onLike(item.commentId);
+    item.liked = result ? result.liked : previous.liked;
+    item.likes = result ? result.count : previous.likes;
+    item.pending = false;
+    ensureLoop();
+  };
+
+  const toggleReaction = async (item, reactionId) => {
+    if (!item.commentId || item.pending || !onReactRef.current) return;
+    const previous = { reactionCounts: item.reactionCounts, myReactions: item.myReactions };
+    const reacted = !item.myReactions.has(reactionId);
+
+    // Optimistic update, replaced by the counts confirmed by storage
+    item.pending = true;
+    item.myReactions = new Set(item.myReactions);
+    reacted ? item.myReactions.add(reactionId) : item.myReactions.delete(reactionId);
+    item.reactionCounts = {
+      ...item.reactionCounts,
+      [reactionId]: Math.max(0, (item.reactionCounts[reactionId] || 0) + (reacted ? 1 : -1))
+    };
+    ensureLoop();
+
+    const result = await onReactRef.current(item.commentId, reactionId);
+    if (result) {
+      item.reactionCounts = result.counts;
+      result.reacted ? item.myReactions.add(reactionId) : item.myReactions.delete(reactionId);
+    } else {
+      item.reactionCounts = previous.reactionCounts;
+      item.myReactions = previous.myReactions;
+    }
+    item.pending = false;
+    ensureLoop();
+  };
+
+  // Hover-pause and like clicks through hit-testing, only while the stream is shown
+  React.useEffect(() => {
+    if (!visible) {
+      setHovered(null);
+      if (frameRef.current) {
+        cancelAnimationFrame(frameRef.current);
+        frameRef.current = null;
+      }
+      // Nothing is drawn, but items still expire so the manager frees their lanes
+      const expireTimer = setInterval(() => {
+        const now = performance.now();
+        const finished = [];
+        itemsRef.current.forEach(item => {
+          if (getGeometry(item, now).progress >= 1) finished.push(item.id);
+        });
+        completeItems(finished);
+      }, 1000);
+      return () => clearInterval(expireTimer);
+    }
+    ensureLoop();
+
+    const handlePointerMove = (e) => {
+      const hit = hitTest(e.clientX, e.clientY);
+      setHovered(hit ? hit.item : null);
+    };
+
+    const handleClick = (e) => {
+      const hit = hitTest(e.clientX, e.clientY);
+      if (!hit) {
+        // Clicks and taps elsewhere close the tap menu
+        setHovered(null);
+        return;
+      }
+
+      const { item, chip, reactionId } = hit;
+      e.preventDefault();
+      e.stopPropagation();
+      if (chip === 'like') {
+        toggleLike(item);
+      } else if (chip === 'reaction') {
+        toggleReaction(item, reactionId);
+      } else if (chip === 'reply') {
+        onOpenThreadRef.current({ commentId: item.commentId, parentId: item.parentId });
+      } else if (chip === 'block') {
+        setHovered(null);
+        onBlockUserRef.current({ userId: item.userId });
+      } else if (chip === 'pin') {
+        onShowOnModelRef.current({ commentId: item.commentId, text: item.text, anchor: item.anchor, likesCount: item.likes });
+      } else {
+        // Tap menu: a tap on the text pauses the comment and shows its chips
+        setHovered(hoveredRef.current === item.id ? null : item);
+      }
+    };
+
+    window.addEventListener('pointermove', handlePointerMove);
+    window.addEventListener('click', handleClick, true);
+    return () => {
+      window.removeEventListener('pointermove', handlePointerMove);
+      window.removeEventListener('click', handleClick, true);
+      document.body.style.cursor = '';
+    };
+  }, [visible]);
+
+  try {
+    return (
+      <canvas
+        ref={canvasRef}
+        className="fixed inset-0 z-50 pointer-events-none"
+        style={{ width: '100vw', height: '100vh' }}
+        data-name="danmaku-canvas"
+        data-file="components/DanmakuCanvas.js"
+      />
+    );
+  } catch (error) {
+    console.error('DanmakuCanvas component error:', error);
+    return null;
+  }
+}
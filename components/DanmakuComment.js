@@ -1,34 +1,58 @@
 /**
  * Danmaku Comment Component
- * Displays floating comments that move from right to left across the screen
+ * Displays floating comments that move across the screen (right to left, or left
+ * to right in reverse mode) or stay centered in a top / bottom row for a few seconds.
+ * Actions (like, reactions, reply, show on model, block the author) appear on hover, or on tap on touch screens.
  */
-function DanmakuComment({ text, commentId, likesCount = 0, onComplete, onLike }) {
+
+// Calculate scale based on the reaction score (80% base + 2% per point, no upper limit)
+// A heart is one point, emoji reactions count by their weight (see lib/reactions.js)
+function getDanmakuScale(score) {
+  const baseScale = 0.8; // 80%
+  const scalePerPoint = 0.02; // 2% per point
+  
+  return baseScale + (score * scalePerPoint);
+}
+
+function DanmakuComment({
+  text,
+  top,
+  commentId,
+  likesCount = 0,
+  liked = false,
+  danmakuStyle,
+  duration = 16000,
+  onComplete,
+  onLike,
+  onShowOnModel,
+  replyCount = 0,
+  onOpenThread,
+  reactionCounts = {},
+  myReactions = [],
+  onReact,
+  highlighted = false,
+  fontScale = 1,
+  playbackRate = 1,
+  onBlockUser
+}) {
   const commentRef = React.useRef(null);
   const danmakuId = React.useRef(Date.now() + Math.random());
   const animationRef = React.useRef(null);
   const initialTextRef = React.useRef(text);
-  const fixedTopPosition = React.useRef(Math.random() * (window.innerHeight * 0.6) + window.innerHeight * 0.2);
+  const styleRef = React.useRef(normalizeDanmakuStyle(danmakuStyle));
   const [isHovered, setIsHovered] = React.useState(false);
-  const [isLiked, setIsLiked] = React.useState(false);
+  const [isLiked, setIsLiked] = React.useState(liked);
   const [currentLikes, setCurrentLikes] = React.useState(likesCount);
+  const [likePending, setLikePending] = React.useState(false);
+  const [reactions, setReactions] = React.useState(reactionCounts);
+  const [reacted, setReacted] = React.useState(() => new Set(myReactions));
+  const [reactionPending, setReactionPending] = React.useState(null);
+  const [menuOpen, setMenuOpen] = React.useState(false);
+  const showActions = isHovered || menuOpen;
   
-  // Calculate scale based on likes (80% base + 2% per like, no upper limit)
-  const getScale = (likes) => {
-    const baseScale = 0.8; // 80%
-    const scalePerLike = 0.02; // 2% per like
-    
-    return baseScale + (likes * scalePerLike);
-  };
-  
-  const currentScale = getScale(currentLikes);
-  
-  // Check if already liked from localStorage
-  React.useEffect(() => {
-    if (commentId) {
-      const likedComments = JSON.parse(localStorage.getItem('liked_danmaku') || '[]');
-      setIsLiked(likedComments.includes(commentId));
-    }
-  }, [commentId]);
+  const { mode, color, size } = styleRef.current;
+  const isFixed = isFixedDanmakuMode(mode);
+  const currentScale = getDanmakuScale(getReactionScore(currentLikes, reactions)) * DANMAKU_SIZES[size] * fontScale;
   
   const handleMouseEnter = () => {
     setIsHovered(true);
@@ -39,31 +63,93 @@ function DanmakuComment({ text, commentId, likesCount = 0, onComplete, onLike })
   
   const handleMouseLeave = () => {
     setIsHovered(false);
-    if (animationRef.current) {
+    if (animationRef.current && !menuOpen) {
       animationRef.current.play();
     }
   };
   
-  const handleLike = (e) => {
+  // Tap menu for touch screens: a tap pauses the comment and shows its actions
+  const handleTap = () => {
+    const nextOpen = !menuOpen;
+    setMenuOpen(nextOpen);
+    if (animationRef.current) {
+      nextOpen ? animationRef.current.pause() : animationRef.current.play();
+    }
+  };
+  
+  // Close the tap menu when tapping anywhere else
+  React.useEffect(() => {
+    if (!menuOpen) return;
+    const handlePointerDown = (e) => {
+      if (commentRef.current && !commentRef.current.contains(e.target)) {
+        setMenuOpen(false);
+        if (animationRef.current) animationRef.current.play();
+      }
+    };
+    document.addEventListener('pointerdown', handlePointerDown);
+    return () => document.removeEventListener('pointerdown', handlePointerDown);
+  }, [menuOpen]);
+  
+  const handleOpenThread = (e) => {
+    e.stopPropagation();
+    setMenuOpen(false);
+    onOpenThread();
+  };
+  
+  const handleBlockUser = (e) => {
+    e.stopPropagation();
+    setMenuOpen(false);
+    onBlockUser();
+  };
+  
+  const handleLike = async (e) => {
     e.stopPropagation();
-    if (!commentId) return;
+    if (!commentId || likePending || !onLike) return;
     
-    // Only prevent multiple likes from same user locally
-    if (isLiked) return;
+    const previous = { liked: isLiked, likes: currentLikes };
+    const nextLiked = !isLiked;
     
-    // Update local state
-    setIsLiked(true);
-    setCurrentLikes(prev => prev + 1);
+    // Optimistic update, replaced by the count confirmed by storage
+    setLikePending(true);
+    setIsLiked(nextLiked);
+    setCurrentLikes(prev => Math.max(0, prev + (nextLiked ? 1 : -1)));
     
-    // Save to localStorage
-    const likedComments = JSON.parse(localStorage.getItem('liked_danmaku') || '[]');
-    likedComments.push(commentId);
-    localStorage.setItem('liked_danmaku', JSON.stringify(likedComments));
+    const result = await onLike(commentId);
+    if (result) {
+      setIsLiked(result.liked);
+      setCurrentLikes(result.count);
+    } else {
+      setIsLiked(previous.liked);
+      setCurrentLikes(previous.likes);
+    }
+    setLikePending(false);
+  };
+  
+  const handleReact = async (e, reactionId) => {
+    e.stopPropagation();
+    if (!commentId || reactionPending || !onReact) return;
+    
+    const previous = { reactions, reacted };
+    const nextReacted = !reacted.has(reactionId);
+    const nextSet = new Set(reacted);
+    nextReacted ? nextSet.add(reactionId) : nextSet.delete(reactionId);
     
-    // Call parent callback
-    if (onLike) {
-      onLike(commentId);
+    // Optimistic update, replaced by the counts confirmed by storage
+    setReactionPending(reactionId);
+    setReacted(nextSet);
+    setReactions(prev => ({ ...prev, [reactionId]: Math.max(0, (prev[reactionId] || 0) + (nextReacted ? 1 : -1)) }));
+    
+    const result = await onReact(commentId, reactionId);
+    if (result) {
+      setReactions(result.counts);
+      const confirmed = new Set(nextSet);
+      result.reacted ? confirmed.add(reactionId) : confirmed.delete(reactionId);
+      setReacted(confirmed);
+    } else {
+      setReactions(previous.reactions);
+      setReacted(previous.reacted);
     }
+    setReactionPending(null);
   };
   
   React.useEffect(() => {
@@ -75,17 +161,32 @@ function DanmakuComment({ text, commentId, likesCount = 0, onComplete, onLike })
     const containerWidth = window.innerWidth;
     const elementWidth = element.offsetWidth;
     
-    // Start from right side of screen
-    element.style.left = `${containerWidth}px`;
-    
-    // Animate to left side (doubled duration for half speed)
-    const animation = element.animate([
-      { left: `${containerWidth}px` },
-      { left: `-${elementWidth}px` }
-    ], {
-      duration: 16000, // 16 seconds to cross screen (2x slower)
-      easing: 'linear'
-    });
+    let animation;
+    if (isFixed) {
+      // Fixed modes: stay centered, fade in and out
+      animation = element.animate([
+        { opacity: 0 },
+        { opacity: 1, offset: 0.05 },
+        { opacity: 1, offset: 0.9 },
+        { opacity: 0 }
+      ], {
+        duration,
+        easing: 'linear'
+      });
+    } else {
+      // Scroll starts on the right side of the screen, reverse on the left
+      const from = mode === 'reverse' ? `-${elementWidth}px` : `${containerWidth}px`;
+      const to = mode === 'reverse' ? `${containerWidth}px` : `-${elementWidth}px`;
+      element.style.left = from;
+      
+      animation = element.animate([
+        { left: from },
+        { left: to }
+      ], {
+        duration, // 16 seconds to cross screen by default
+        easing: 'linear'
+      });
+    }
     
     animationRef.current = animation;
     
@@ -103,13 +204,25 @@ function DanmakuComment({ text, commentId, likesCount = 0, onComplete, onLike })
     };
   }, []); // Remove dependencies to prevent recreation
   
+  // Speed changes in the viewer settings apply to comments already in flight
+  React.useEffect(() => {
+    if (animationRef.current) {
+      animationRef.current.updatePlaybackRate(playbackRate);
+    }
+  }, [playbackRate]);
+  
   try {
     return (
       <div
         ref={commentRef}
         className="fixed top-0 z-50 pointer-events-auto cursor-pointer"
-        style={{
-          top: `${fixedTopPosition.current}px`,
+        style={isFixed ? {
+          top: `${top}px`,
+          left: '50%',
+          transform: `translateX(-50%) scale(${currentScale})`,
+          transformOrigin: 'center center'
+        } : {
+          top: `${top}px`,
           transform: `scale(${currentScale})`,
           transformOrigin: 'left center'
         }}
@@ -117,7 +230,11 @@ function DanmakuComment({ text, commentId, likesCount = 0, onComplete, onLike })
         onMouseLeave={handleMouseLeave}
       >
         <div className="flex items-center gap-2">
-          <div className="px-4 py-2 glass-effect text-white text-base md:text-xl font-medium whitespace-nowrap rounded-full hover:bg-white hover:bg-opacity-20 transition-all duration-200">
+          <div
+            className={`px-4 py-2 glass-effect text-white text-base md:text-xl font-medium whitespace-nowrap rounded-full hover:bg-white hover:bg-opacity-20 transition-all duration-200 ${highlighted ? 'ring-2 ring-white bg-white bg-opacity-20' : ''}`}
+            style={{ color: getDanmakuColor(color) }}
+            onClick={handleTap}
+          >
             {initialTextRef.current}
           </div>
           
@@ -133,7 +250,7 @@ function DanmakuComment({ text, commentId, likesCount = 0, onComplete, onLike })
           )}
           
           {/* Show interactive like button on hover when no likes yet */}
-          {isHovered && currentLikes === 0 && (
+          {showActions && currentLikes === 0 && (
             <div 
               className={`flex items-center gap-1 px-3 py-2 glass-effect rounded-full hover:bg-red-500 hover:bg-opacity-30 cursor-pointer transition-all duration-200 ${isLiked ? 'bg-red-500 bg-opacity-20' : ''}`}
               onClick={handleLike}
@@ -141,6 +258,60 @@ function DanmakuComment({ text, commentId, likesCount = 0, onComplete, onLike })
               <div className={`icon-heart text-sm md:text-xl ${isLiked ? 'text-red-400' : 'text-white'}`}></div>
             </div>
           )}
+          
+          {/* Emoji reaction chips with counts, the full set on hover */}
+          {onReact && getDanmakuReactions()
+            .filter(reaction => (reactions[reaction.id] || 0) > 0 || showActions)
+            .map(reaction => (
+              <div
+                key={reaction.id}
+                className={`flex items-center gap-1 px-2 py-2 glass-effect rounded-full cursor-pointer hover:bg-white hover:bg-opacity-20 transition-all duration-200 ${reacted.has(reaction.id) ? 'bg-white bg-opacity-30' : 'bg-white bg-opacity-10'}`}
+                onClick={(e) => handleReact(e, reaction.id)}
+                title={reaction.label}
+              >
+                <span className="text-sm md:text-xl">{reaction.emoji}</span>
+                {(reactions[reaction.id] || 0) > 0 && (
+                  <span className="text-white text-base md:text-xl font-medium">{reactions[reaction.id]}</span>
+                )}
+              </div>
+            ))}
+          
+          {/* Reply count badge, or a reply button on hover */}
+          {onOpenThread && (replyCount > 0 || showActions) && (
+            <div
+              className="flex items-center gap-1 px-3 py-2 glass-effect rounded-full bg-white bg-opacity-10 hover:bg-white hover:bg-opacity-20 cursor-pointer transition-all duration-200"
+              onClick={handleOpenThread}
+              title="Reply"
+            >
+              <div className="icon-message-circle text-sm md:text-xl text-white"></div>
+              {replyCount > 0 && <span className="text-white text-base md:text-xl font-medium">{replyCount}</span>}
+            </div>
+          )}
+          
+          {/* Anchored comments can turn the 3D model to their point */}
+          {showActions && onShowOnModel && (
+            <div
+              className="flex items-center gap-1 px-3 py-2 glass-effect rounded-full hover:bg-white hover:bg-opacity-20 cursor-pointer transition-all duration-200"
+              onClick={(e) => {
+                e.stopPropagation();
+                onShowOnModel();
+              }}
+              title="Show on model"
+            >
+              <div className="icon-map-pin text-sm md:text-xl text-white"></div>
+            </div>
+          )}
+          
+          {/* Hide everything from this comment's author */}
+          {onBlockUser && showActions && (
+            <div
+              className="flex items-center gap-1 px-3 py-2 glass-effect rounded-full hover:bg-white hover:bg-opacity-20 cursor-pointer transition-all duration-200"
+              onClick={handleBlockUser}
+              title="Block this user"
+            >
+              <div className="icon-ban text-sm md:text-xl text-white"></div>
+            </div>
+          )}
         </div>
       </div>
     );
@@ -1,242 +1,449 @@
 /**
  * DanmakuManager Component
- * Manages danmaku display and auto-play logic
+ * Manages danmaku display and auto-play logic. Which comment flies next is up to
+ * the popularity-weighted scheduler (lib/danmakuScheduler.js). With `replay` on,
+ * the live loop is paused and the ReplayTimeline plays the stream back at its
+ * original pace.
  */
-function DanmakuManager({ userId, onCommentsUpdate, visible = true }) {
+
+// Replayed comments waiting for a lane beyond this are dropped rather than played late
+const REPLAY_QUEUE_LIMIT = 30;
+
+// Default for `isBlocked`, kept stable so effects depending on it don't re-run
+const NOTHING_BLOCKED = () => false;
+
+function DanmakuManager({
+  userId,
+  onCommentsUpdate,
+  onLoadProgress,
+  visible = true,
+  exclusionSelector = '[data-danmaku-exclude]',
+  pageSize = 100,
+  historyLimit = 5000,
+  renderer = 'auto',
+  onShowOnModel,
+  onActivity,
+  onOpenThread,
+  replay = false,
+  onReplayClose,
+  settings = DEFAULT_DANMAKU_SETTINGS,
+  isBlocked = NOTHING_BLOCKED,
+  onBlockUser
+}) {
   const [comments, setComments] = React.useState([]);
   const [activeDanmaku, setActiveDanmaku] = React.useState([]);
-  const [playedCommentIds, setPlayedCommentIds] = React.useState(new Set());
-  const [autoPlayTimer, setAutoPlayTimer] = React.useState(null);
-  const [restartTimer, setRestartTimer] = React.useState(null);
-  const isProcessingRef = React.useRef(false);
-  const isRestartingRef = React.useRef(false);
+  const layoutRef = React.useRef(null);
+  const pendingQueueRef = React.useRef([]);
+  const queueTimerRef = React.useRef(null);
+  const commentIdsRef = React.useRef(new Set());
+  const syncRef = React.useRef(null);
+  const likeServiceRef = React.useRef(null);
+  const reactionServiceRef = React.useRef(null);
+  const [activeRenderer] = React.useState(() => pickDanmakuRenderer(renderer));
+  const schedulerRef = React.useRef(null);
+  const playTimerRef = React.useRef(null);
+  const activeDanmakuRef = React.useRef(activeDanmaku);
+  activeDanmakuRef.current = activeDanmaku;
+  const commentsRef = React.useRef(comments);
+  commentsRef.current = comments;
+  // Read through a ref: spawns and likes run from timers and window callbacks
+  const onActivityRef = React.useRef(onActivity);
+  onActivityRef.current = onActivity;
+  const userIdRef = React.useRef(userId);
+  userIdRef.current = userId;
+  const settingsRef = React.useRef(settings);
+  settingsRef.current = settings;
+  const replayingRef = React.useRef(replay);
+  replayingRef.current = replay;
+
+  if (!layoutRef.current) {
+    layoutRef.current = createDanmakuLayout({ exclusionSelector });
+  }
+  if (!schedulerRef.current) {
+    schedulerRef.current = createDanmakuScheduler({
+      ...(window.DANMAKU_SCHEDULER_CONFIG || {}),
+      isOwnComment: (comment) => Boolean(comment.userId) && comment.userId === userIdRef.current
+    });
+  }
+
+  // Replies per parent comment, read by the renderers for the reply badge
+  const replyCountsRef = React.useRef(new Map());
+  replyCountsRef.current = comments.reduce((counts, comment) => {
+    if (comment.parentId && isCommentPlayable(comment)) {
+      counts.set(comment.parentId, (counts.get(comment.parentId) || 0) + 1);
+    }
+    return counts;
+  }, new Map());
+  const getReplyCount = (commentId) => replyCountsRef.current.get(commentId) || 0;
+
+  // Top-level comments fly, replies only when posted as danmaku
+  const isStreamable = (comment) => isCommentPlayable(comment) &&
+    (!comment.parentId || comment.asDanmaku) &&
+    typeof comment.text === 'string' &&
+    comment.text.trim() !== '';
+
+  // Matcher for the viewer's personal blocklist, built by App
+  const isBlockedRef = React.useRef(isBlocked);
+  isBlockedRef.current = isBlocked;
+
+  const streamableComments = React.useMemo(
+    () => comments.filter(comment => isStreamable(comment) && !isBlocked(comment)),
+    [comments, isBlocked]
+  );
+
+  // Short quote of the parent shown in front of a flying reply
+  const getReplyQuote = (parentId) => {
+    const parent = commentsRef.current.find(comment => comment.id === parentId);
+    if (!parent) return '↪ ';
+    const excerpt = parent.text.length > 12 ? parent.text.slice(0, 12) + '…' : parent.text;
+    return `↪ "${excerpt}" `;
+  };
   
+  // Toggle like/unlike and return the state confirmed by storage, null on failure
   const handleLike = async (commentId) => {
+    if (!likeServiceRef.current) return null;
     try {
-      // Get current comment data
-      const comment = await trickleGetObject('danmaku_comment', commentId);
-      const currentLikes = comment.objectData.likes_count || 0;
-      
-      // Update likes count in database
-      await trickleUpdateObject('danmaku_comment', commentId, {
-        ...comment.objectData,
-        likes_count: currentLikes + 1
-      });
+      const result = await likeServiceRef.current.toggle(commentId);
+      setComments(prev => prev.map(comment =>
+        comment.id === commentId ? { ...comment, likesCount: result.count } : comment
+      ));
+      if (result.liked && onActivityRef.current) {
+        onActivityRef.current({ type: 'like', color: '#f87171' });
+      }
       
-      console.log('[DanmakuManager] Updated likes for comment:', commentId);
+      console.log('[DanmakuManager] Updated likes for comment:', commentId, result);
+      return result;
     } catch (error) {
       console.error('[DanmakuManager] Error updating likes:', error);
+      return null;
     }
   };
   
-  // Load comments from database
-  const loadComments = async () => {
+  // Toggle one emoji reaction and return the state confirmed by storage, null on failure
+  const handleReact = async (commentId, reactionId) => {
+    if (!reactionServiceRef.current) return null;
+    try {
+      const result = await reactionServiceRef.current.toggle(commentId, reactionId);
+      setComments(prev => prev.map(comment =>
+        comment.id === commentId ? { ...comment, reactionCounts: result.counts } : comment
+      ));
+      if (result.reacted && onActivityRef.current) {
+        onActivityRef.current({ type: 'reaction' });
+      }
+      
+      console.log('[DanmakuManager] Updated reactions for comment:', commentId, result);
+      return result;
+    } catch (error) {
+      console.error('[DanmakuManager] Error updating reactions:', error);
+      return null;
+    }
+  };
+  
+  // Load the first page of comments, older pages keep streaming in through appendHistory
+  const loadComments = async (loader) => {
     console.log('[DanmakuManager] Loading comments from database');
     try {
-      const allComments = await trickleListObjects('danmaku_comment', 99999, true);
-      const commentsData = allComments.items.map(item => ({
-        id: item.objectId,
-
-        text: item.objectData.text,
-        createdAt: item.createdAt,
-        likesCount: item.objectData.likes_count || 0
-      }));
+      const commentsData = await loader.start();
       
       console.log('[DanmakuManager] Loaded comments:', commentsData.length);
-      setComments(commentsData);
-      
-      // Update parent component
-      if (onCommentsUpdate) {
-        onCommentsUpdate(commentsData);
-      }
+      appendHistory(commentsData);
+      return commentsData;
     } catch (error) {
       console.error('[DanmakuManager] Error loading comments:', error);
+      return [];
     }
   };
 
-  // Load comments when component mounts or userId changes
-  React.useEffect(() => {
-    if (userId) {
-      console.log('[DanmakuManager] UserId available, loading comments:', userId);
-      loadComments();
-    }
-  }, [userId]);
+  // Add older comments behind the ones already known
+  const appendHistory = (older) => {
+    const fresh = older.filter(comment => !commentIdsRef.current.has(comment.id));
+    if (fresh.length === 0) return;
 
-  // Auto-play danmaku for new comments - only trigger on comments change, not playedCommentIds change
-  React.useEffect(() => {
-    if (isProcessingRef.current || isRestartingRef.current) {
-      console.log('[DanmakuManager] Already processing or restarting, skipping');
-      return;
-    }
-    
-    console.log('[DanmakuManager] Comments updated:', comments?.length || 0);
-    console.log('[DanmakuManager] Played comment IDs:', Array.from(playedCommentIds));
-    console.log('[DanmakuManager] Current active danmaku:', activeDanmaku.length);
-    
-    if (!comments || comments.length === 0) {
-      console.log('[DanmakuManager] No comments available, skipping auto-play');
-      return;
+    fresh.forEach(comment => commentIdsRef.current.add(comment.id));
+    setComments(prev => [...prev, ...fresh]);
+  };
+
+  // Merge comments that arrived after the initial load and play them right away
+  const ingestComments = (incoming) => {
+    const fresh = incoming.filter(comment => !commentIdsRef.current.has(comment.id));
+    if (fresh.length === 0) return;
+
+    console.log('[DanmakuManager] Ingesting new comments:', fresh.length);
+    fresh.forEach(comment => commentIdsRef.current.add(comment.id));
+    if (syncRef.current) {
+      syncRef.current.markSeen(fresh);
     }
-    
-    // Find new comments that haven't been played yet and have valid text
-    // Sort with semi-random ordering (mix of chronological and random)
-    const newComments = comments
-      .filter(comment => 
-        !playedCommentIds.has(comment.id) && 
-        comment.text && 
-        typeof comment.text === 'string' && 
-        comment.text.trim() !== ''
-      )
-      .sort((a, b) => {
-        // Primary sort by creation time (chronological)
-        const timeSort = new Date(a.createdAt) - new Date(b.createdAt);
-        // Add some randomness but keep general chronological order
-        const randomFactor = (Math.random() - 0.5) * 2000; // ±1 second random variance
-        return timeSort + randomFactor;
+
+    // Live comments wait while a replay is running; they are part of its timeline
+    if (!replayingRef.current) {
+      fresh.filter(comment => isStreamable(comment) && !isBlockedRef.current(comment)).forEach(comment => {
+        addDanmaku(comment.text, comment);
+        schedulerRef.current.markPlayed(comment.id);
       });
-    
-    console.log('[DanmakuManager] New comments to play:', newComments.length, newComments.map(c => ({ id: c.id, text: c.text.substring(0, 20) + '...' })));
-    
-    if (newComments.length === 0) {
-      console.log('[DanmakuManager] No new comments to play');
-      return;
     }
-    
-    isProcessingRef.current = true;
-    
-    // Clear existing timer
-    if (autoPlayTimer) {
-      console.log('[DanmakuManager] Clearing existing auto-play timer');
-      clearTimeout(autoPlayTimer);
+    setComments(prev => [...[...fresh].reverse(), ...prev]);
+  };
+
+  // Take a comment off screen and out of the lane queue, e.g. after it was hidden or deleted
+  const withdrawComment = (commentId) => {
+    pendingQueueRef.current = pendingQueueRef.current.filter(danmaku => danmaku.commentId !== commentId);
+    setActiveDanmaku(prev => prev.filter(danmaku => danmaku.commentId !== commentId));
+  };
+
+  // Apply a changed comment (status, likes) pushed by storage
+  const updateComment = (updated) => {
+    setComments(prev => prev.map(comment =>
+      comment.id === updated.id ? { ...comment, ...updated } : comment
+    ));
+    if (!isCommentPlayable(updated)) {
+      console.log('[DanmakuManager] Comment no longer playable:', updated.id, updated.status);
+      withdrawComment(updated.id);
     }
-    
-    // Start auto-play with delay
-    console.log('[DanmakuManager] Starting auto-play timer (1s delay)');
-    const timer = setTimeout(() => {
-      playNextBatch(newComments);
-      isProcessingRef.current = false;
-    }, 1000);
-    
-    setAutoPlayTimer(timer);
-    
-    return () => {
-      if (timer) {
-        console.log('[DanmakuManager] Cleanup: clearing timer');
-        clearTimeout(timer);
-        isProcessingRef.current = false;
+  };
+
+  const removeComment = (commentId) => {
+    console.log('[DanmakuManager] Comment deleted:', commentId);
+    setComments(prev => prev.filter(comment => comment.id !== commentId));
+    withdrawComment(commentId);
+  };
+
+  // Load comments when component mounts or userId changes, then keep them in sync
+  React.useEffect(() => {
+    if (!userId) return;
+
+    console.log('[DanmakuManager] UserId available, loading comments:', userId);
+    let cancelled = false;
+
+    const likeService = createLikeService({ storage: getCommentStorage(), userId });
+    likeServiceRef.current = likeService;
+    likeService.refresh().catch(error => {
+      console.error('[DanmakuManager] Error loading likes:', error);
+    });
+
+    const reactionService = createReactionService({ storage: getCommentStorage(), userId });
+    reactionServiceRef.current = reactionService;
+    reactionService.refresh().catch(error => {
+      console.error('[DanmakuManager] Error loading reactions:', error);
+    });
+
+    const loader = createCommentLoader({
+      storage: getCommentStorage(),
+      pageSize,
+      maxComments: historyLimit,
+      onComments: appendHistory,
+      onProgress: (progress) => {
+        if (onLoadProgress) onLoadProgress(progress);
       }
-      if (restartTimer) {
-        console.log('[DanmakuManager] Cleanup: clearing restart timer');
-        clearTimeout(restartTimer);
-        isRestartingRef.current = false;
+    });
+
+    loadComments(loader).then(loaded => {
+      if (cancelled) return;
+      const sync = createCommentSync({
+        storage: getCommentStorage(),
+        onComments: ingestComments,
+        onCommentUpdated: updateComment,
+        onCommentRemoved: removeComment
+      });
+      sync.markSeen(loaded);
+      sync.start();
+      syncRef.current = sync;
+    });
+
+    return () => {
+      cancelled = true;
+      loader.cancel();
+      if (syncRef.current) {
+        syncRef.current.stop();
+        syncRef.current = null;
       }
     };
-  }, [comments]); // Only depend on comments, not playedCommentIds
+  }, [userId]);
 
-  // Handle restart when playedCommentIds is cleared (restart scenario)
+  // Update parent component
   React.useEffect(() => {
-    // Only trigger when playedCommentIds becomes empty and we have comments
-    if (playedCommentIds.size === 0 && comments.length > 0 && !isProcessingRef.current && isRestartingRef.current) {
-      console.log('[DanmakuManager] Restart detected - playedCommentIds cleared, starting fresh cycle');
-      isRestartingRef.current = false; // Reset restart flag
-      
-      // Find all valid comments to play
-      const allComments = comments
-        .filter(comment => 
-          comment.text && 
-          typeof comment.text === 'string' && 
-          comment.text.trim() !== ''
-        )
-        .sort((a, b) => {
-          const timeSort = new Date(a.createdAt) - new Date(b.createdAt);
-          const randomFactor = (Math.random() - 0.5) * 2000;
-          return timeSort + randomFactor;
-        });
-      
-      if (allComments.length > 0) {
-        console.log('[DanmakuManager] Starting restart batch with', allComments.length, 'comments');
-        isProcessingRef.current = true;
-        
-        setTimeout(() => {
-          playNextBatch(allComments);
-          isProcessingRef.current = false;
-        }, 1000);
-      }
+    if (onCommentsUpdate) {
+      onCommentsUpdate(comments);
     }
-  }, [playedCommentIds.size, comments.length]); // Monitor size changes
+  }, [comments]);
 
-  const playNextBatch = (commentsToPlay) => {
-    console.log('[DanmakuManager] playNextBatch called with', commentsToPlay.length, 'comments');
-    
-    if (commentsToPlay.length === 0) {
-      console.log('[DanmakuManager] No more comments to play, batch complete');
-      return;
-    }
-    
-    // Determine how many danmaku to play simultaneously based on screen size
-    const isMobile = window.innerWidth < 768; // md breakpoint
-    const maxConcurrent = isMobile 
-      ? 8 + Math.floor(Math.random() * 5)   // Mobile: 8-12 concurrent
-      : 20 + Math.floor(Math.random() * 16); // Desktop: 20-35 concurrent
-    
-    const currentActive = activeDanmaku.length;
-    const canAdd = Math.max(0, maxConcurrent - currentActive);
-    const toPlayNow = Math.min(canAdd, commentsToPlay.length, isMobile ? 2 : 3); // Mobile: max 2 at once, Desktop: max 3
-    
-    console.log('[DanmakuManager] Target concurrent:', maxConcurrent, 'Current active:', currentActive, 'Can add:', canAdd, 'Will play now:', toPlayNow);
-    
-    // Play multiple comments at once
-    for (let i = 0; i < toPlayNow; i++) {
-      const comment = commentsToPlay[i];
-      console.log('[DanmakuManager] Playing comment:', { id: comment.id, text: comment.text });
-      addDanmaku(comment.text, comment);
-      
-      // Mark as played
-      setPlayedCommentIds(prev => {
-        const newSet = new Set([...prev, comment.id]);
-        console.log('[DanmakuManager] Marked comment as played:', comment.id);
-        return newSet;
+  // Keep the scheduler's pool in step with the playable comments
+  React.useEffect(() => {
+    schedulerRef.current.setComments(streamableComments);
+  }, [streamableComments]);
+
+  // Newly blocked comments leave the screen and the lane queue right away
+  React.useEffect(() => {
+    pendingQueueRef.current = pendingQueueRef.current.filter(danmaku => !isBlocked(danmaku));
+    setActiveDanmaku(prev => {
+      const kept = prev.filter(danmaku => !isBlocked(danmaku));
+      return kept.length === prev.length ? prev : kept;
+    });
+  }, [isBlocked]);
+
+  // Entering or leaving a replay clears the screen
+  const replayModeRef = React.useRef(replay);
+  React.useEffect(() => {
+    if (replayModeRef.current === replay) return;
+    replayModeRef.current = replay;
+    console.log('[DanmakuManager] Replay mode:', replay);
+    clearScreen();
+  }, [replay]);
+
+  // Fill free slots with the scheduler's next picks, paused while a replay runs
+  const pumpPlayback = () => {
+    const scheduler = schedulerRef.current;
+    const pace = scheduler.getPace();
+
+    if (!replayingRef.current) {
+      const waiting = [...activeDanmakuRef.current, ...pendingQueueRef.current];
+      const maxConcurrent = Math.max(1, Math.round(pace.maxConcurrent * settingsRef.current.density));
+      const canAdd = Math.max(0, maxConcurrent - waiting.length);
+      const onScreen = new Set(waiting.map(danmaku => danmaku.commentId).filter(Boolean));
+      const picks = scheduler.next(Math.min(canAdd, pace.maxPerTick), { exclude: onScreen });
+
+      picks.forEach(comment => {
+        console.log('[DanmakuManager] Playing comment:', { id: comment.id, text: comment.text });
+        addDanmaku(comment.text, comment);
       });
     }
+
+    // Jitter the pace a little so batches don't enter in lockstep
+    playTimerRef.current = setTimeout(pumpPlayback, pace.intervalMs * (0.75 + Math.random() * 0.5));
+  };
+
+  // Start the playback pump, clear pending timers on unmount
+  React.useEffect(() => {
+    playTimerRef.current = setTimeout(pumpPlayback, 1000);
+    return () => {
+      clearTimeout(playTimerRef.current);
+    };
+  }, []);
+
+  // Place a danmaku in a free lane or fixed row, returns false when none is free
+  const spawnDanmaku = (danmaku) => {
+    const layout = layoutRef.current;
+    const { mode, size } = danmaku.style;
+    const isFixed = isFixedDanmakuMode(mode);
     
-    // Continue with remaining comments after random delay
-    const remaining = commentsToPlay.slice(toPlayNow);
-    if (remaining.length > 0) {
-      const isMobile = window.innerWidth < 768;
-      const randomDelay = isMobile 
-        ? 2500 + Math.random() * 3000  // Mobile: 2.5-5.5 seconds (slower)
-        : 1500 + Math.random() * 2000; // Desktop: 1.5-3.5 seconds
-      
-      console.log('[DanmakuManager] Scheduling next batch in', Math.round(randomDelay/100)/10, 'seconds, remaining:', remaining.length, 'Device:', isMobile ? 'Mobile' : 'Desktop');
-      setTimeout(() => {
-        playNextBatch(remaining);
-      }, randomDelay);
+    let slot;
+    if (isFixed) {
+      slot = layout.allocateFixed(mode);
     } else {
-      console.log('[DanmakuManager] All comments in batch played');
+      const reactionCounts = Object.values(danmaku.reactionCounts).filter(count => count > 0);
+      const replyCount = danmaku.commentId ? getReplyCount(danmaku.commentId) : 0;
+      const width = estimateDanmakuWidth(danmaku.text, {
+        likesCount: danmaku.likesCount,
+        chipCounts: replyCount > 0 ? [replyCount, ...reactionCounts] : reactionCounts,
+        scale: getDanmakuScale(getReactionScore(danmaku.likesCount, danmaku.reactionCounts)) * DANMAKU_SIZES[size] * settingsRef.current.fontScale
+      });
+      slot = layout.allocate(width, mode === 'reverse' ? 'right' : 'left');
+    }
+    if (!slot) return false;
+    getCommentGuard().recordDisplay(danmaku.guardText);
+
+    const placed = {
+      ...danmaku,
+      lane: slot.lane,
+      top: slot.top,
+      duration: isFixed ? layout.fixedDuration : layout.duration
+    };
+    console.log('[DanmakuManager] Adding danmaku:', { id: placed.id, text: placed.text, commentId: placed.commentId, lane: placed.lane, mode });
+    setActiveDanmaku(prev => {
+      const updated = [...prev, placed];
+      console.log('[DanmakuManager] Active danmaku count:', updated.length);
+      return updated;
+    });
+
+    // Where the danmaku enters the screen
+    if (onActivityRef.current) {
+      onActivityRef.current({
+        type: 'spawn',
+        x: isFixed ? window.innerWidth / 2 : mode === 'reverse' ? 0 : window.innerWidth,
+        y: placed.top + 20,
+        color: getDanmakuColor(danmaku.style.color)
+      });
     }
+    return true;
   };
 
-  const addDanmaku = (text, commentData = null) => {
-    // Filter out empty, null, or undefined text
-    if (!text || typeof text !== 'string' || text.trim() === '') {
-      console.log('[DanmakuManager] Skipping empty danmaku:', text);
+  // Spawn queued danmaku as lanes free up. Scrolling, top and bottom danmaku wait
+  // for different rows, so once one kind finds no room the rest of that kind waits
+  // in order while the other kinds keep going
+  const drainQueue = () => {
+    queueTimerRef.current = null;
+    const queue = pendingQueueRef.current;
+    const blockedKinds = new Set();
+
+    for (let index = 0; index < queue.length && blockedKinds.size < 3;) {
+      const danmaku = queue[index];
+      const kind = isFixedDanmakuMode(danmaku.style.mode) ? danmaku.style.mode : 'scroll';
+      if (blockedKinds.has(kind)) {
+        index++;
+        continue;
+      }
+      // Copies that waited for a lane while the same text reached the flood limit are dropped
+      const validation = getCommentGuard().validateForDisplay(danmaku.guardText);
+      if (!validation.ok) {
+        console.log('[DanmakuManager] Dropping queued danmaku:', validation.reason, danmaku.text);
+        queue.splice(index, 1);
+        continue;
+      }
+      if (spawnDanmaku(danmaku)) {
+        queue.splice(index, 1);
+      } else {
+        blockedKinds.add(kind);
+        index++;
+      }
+    }
+
+    if (queue.length > 0) {
+      queueTimerRef.current = setTimeout(drainQueue, 250);
+    }
+  };
+
+  // `highlighted` danmaku (replays picked from the comment wall) skip the queue and stand out
+  const addDanmaku = (text, commentData = null, { highlighted = false } = {}) => {
+    // Filter out empty, too long, blocked or flooding text
+    const validation = getCommentGuard().validateForDisplay(text);
+    if (!validation.ok) {
+      console.log('[DanmakuManager] Skipping danmaku:', validation.reason, text);
       return;
     }
     
     const id = Date.now() + Math.random();
     const newDanmaku = { 
       id, 
-      text: text.trim(),
+      text: commentData?.parentId ? getReplyQuote(commentData.parentId) + validation.text : validation.text,
+      // Text the guard checked, without the reply quote
+      guardText: validation.text,
       commentId: commentData?.id || null,
-      likesCount: commentData?.likesCount || 0
+      userId: commentData?.userId || null,
+      parentId: commentData?.parentId || null,
+      likesCount: commentData?.likesCount || 0,
+      reactionCounts: commentData?.reactionCounts || {},
+      style: normalizeDanmakuStyle(commentData?.style),
+      anchor: commentData?.anchor || null,
+      highlighted
     };
     
-    console.log('[DanmakuManager] Adding danmaku:', { id, text: text.trim(), commentId: newDanmaku.commentId });
-    setActiveDanmaku(prev => {
-      const updated = [...prev, newDanmaku];
-      console.log('[DanmakuManager] Active danmaku count:', updated.length);
-      return updated;
-    });
+    if (highlighted) {
+      if (!spawnDanmaku(newDanmaku)) {
+        pendingQueueRef.current.unshift(newDanmaku);
+        if (!queueTimerRef.current) {
+          queueTimerRef.current = setTimeout(drainQueue, 250);
+        }
+      }
+      return;
+    }
+    
+    // Queue behind already waiting comments so order is kept
+    if (pendingQueueRef.current.length > 0 || !spawnDanmaku(newDanmaku)) {
+      console.log('[DanmakuManager] No free lane, queueing danmaku:', { id, queued: pendingQueueRef.current.length + 1 });
+      pendingQueueRef.current.push(newDanmaku);
+      if (!queueTimerRef.current) {
+        queueTimerRef.current = setTimeout(drainQueue, 250);
+      }
+    }
   };
 
   const removeDanmaku = (id) => {
@@ -244,58 +451,171 @@ function DanmakuManager({ userId, onCommentsUpdate, visible = true }) {
     setActiveDanmaku(prev => {
       const updated = prev.filter(item => item.id !== id);
       console.log('[DanmakuManager] Active danmaku count after removal:', updated.length);
-      console.log('[DanmakuManager] Total comments:', comments.length);
-      console.log('[DanmakuManager] Played comments count:', playedCommentIds.size);
-      console.log('[DanmakuManager] Is restarting:', isRestartingRef.current);
-      
-      // Check if all danmaku finished and all comments have been played
-      if (updated.length === 0 && comments.length > 0 && playedCommentIds.size >= comments.length && !isRestartingRef.current) {
-        console.log('[DanmakuManager] All danmaku finished, scheduling restart in 3 seconds');
-        isRestartingRef.current = true;
-        
-        // Clear any existing restart timer
-        if (restartTimer) {
-          clearTimeout(restartTimer);
-        }
-        // Set 3-second restart timer
-        const timer = setTimeout(() => {
-          console.log('[DanmakuManager] Restarting danmaku loop - clearing played comments');
-          setPlayedCommentIds(new Set());
-          isProcessingRef.current = false; // Reset processing flag
-        }, 3000);
-        setRestartTimer(timer);
-      }
-      
       return updated;
     });
   };
 
+  // Drop every danmaku on screen or waiting for a lane and free all lanes
+  const clearScreen = () => {
+    pendingQueueRef.current = [];
+    clearTimeout(queueTimerRef.current);
+    queueTimerRef.current = null;
+    layoutRef.current.reset();
+    setActiveDanmaku([]);
+  };
+
+  const handleReplayEmit = (comment) => {
+    if (pendingQueueRef.current.length >= REPLAY_QUEUE_LIMIT) {
+      console.log('[DanmakuManager] Replay queue full, skipping comment:', comment.id);
+      return;
+    }
+    addDanmaku(comment.text, comment);
+  };
+
+  // Move active danmaku to their lane's position after a re-layout; those whose
+  // lane no longer exists are dropped rather than left overlapping the new lanes
+  const moveToLanes = () => {
+    setActiveDanmaku(prev => prev
+      .filter(danmaku => layoutRef.current.getLaneTop(danmaku.lane) !== null)
+      .map(danmaku => ({ ...danmaku, top: layoutRef.current.getLaneTop(danmaku.lane) })));
+  };
+
+  // Viewer settings: crossing time, lane height and usable area apply to the layout right away
+  React.useEffect(() => {
+    layoutRef.current.setOptions({
+      duration: DANMAKU_DEFAULT_DURATION / settings.speed,
+      laneHeight: DANMAKU_LANE_HEIGHT * settings.fontScale,
+      areaBottom: getDanmakuArea(settings.area).bottom
+    });
+    moveToLanes();
+  }, [settings.speed, settings.fontScale, settings.area]);
+
+  // Re-layout lanes on resize and move active danmaku to their lane's new position
+  React.useEffect(() => {
+    const handleResize = () => {
+      layoutRef.current.layout();
+      moveToLanes();
+    };
+
+    window.addEventListener('resize', handleResize);
+
+    return () => {
+      window.removeEventListener('resize', handleResize);
+      if (queueTimerRef.current) {
+        clearTimeout(queueTimerRef.current);
+      }
+    };
+  }, []);
+
   // Expose addDanmaku method to window for external access
   React.useEffect(() => {
-    window.addDanmaku = (text) => {
+    window.addDanmaku = (text, commentData = null) => {
       console.log('[DanmakuManager] Manual comment received via window:', text);
-      addDanmaku(text);
+      // Stored comments are merged so the sync loop does not play them a second time
+      if (commentData?.id) {
+        if (onActivityRef.current) {
+          onActivityRef.current({ type: 'own', color: getDanmakuColor(normalizeDanmakuStyle(commentData.style).color) });
+        }
+        ingestComments([commentData]);
+        // Replays hold back the live stream, but the visitor's own comment still flies
+        if (replayingRef.current) {
+          addDanmaku(commentData.text, commentData);
+        }
+      } else {
+        addDanmaku(text);
+      }
+    };
+    
+    // Upcoming scheduler picks, for debugging from the console
+    window.getDanmakuQueue = () => schedulerRef.current.getQueue();
+    
+    // Fire a stored comment again, highlighted, without marking it played
+    window.replayDanmaku = (commentData) => {
+      console.log('[DanmakuManager] Replaying comment:', commentData.id);
+      addDanmaku(commentData.text, commentData, { highlighted: true });
     };
     
     return () => {
       delete window.addDanmaku;
+      delete window.replayDanmaku;
+      delete window.getDanmakuQueue;
     };
   }, []);
 
+  // Hand an anchored danmaku to the model viewer, with its latest like count
+  const handleShowOnModel = (danmaku) => {
+    const comment = commentsRef.current.find(item => item.id === danmaku.commentId);
+    onShowOnModel({
+      id: danmaku.commentId,
+      text: danmaku.text,
+      anchor: danmaku.anchor,
+      likesCount: comment ? comment.likesCount : danmaku.likesCount
+    });
+  };
+
+  // Replies open the thread of the comment they answer
+  const handleOpenThread = (danmaku) => {
+    onOpenThread(danmaku.parentId || danmaku.commentId);
+  };
+
+  const pinnedComments = comments.filter(comment => comment.status === COMMENT_STATUS.PINNED && !isBlocked(comment));
+
   try {
     return (
-      <div style={{ display: visible ? 'block' : 'none' }}>
-        {activeDanmaku.map(danmaku => (
+      <>
+      <PinnedBanner comments={pinnedComments} />
+      {replay && (
+        <ReplayTimeline
+          comments={streamableComments}
+          onEmit={handleReplayEmit}
+          onSeek={clearScreen}
+          onClose={onReplayClose}
+        />
+      )}
+      <div style={{ display: visible ? 'block' : 'none', opacity: settings.opacity }} data-renderer={activeRenderer}>
+        {activeRenderer === 'canvas' ? (
+          <DanmakuCanvas
+            danmaku={activeDanmaku}
+            isLiked={(commentId) => Boolean(likeServiceRef.current?.isLiked(commentId))}
+            onComplete={removeDanmaku}
+            onLike={handleLike}
+            onShowOnModel={onShowOnModel ? handleShowOnModel : undefined}
+            getReplyCount={getReplyCount}
+            onOpenThread={onOpenThread ? handleOpenThread : undefined}
+            hasReacted={(commentId, reactionId) => Boolean(reactionServiceRef.current?.hasReacted(commentId, reactionId))}
+            onReact={handleReact}
+            fontScale={settings.fontScale}
+            duration={layoutRef.current.duration}
+            viewerId={userId}
+            visible={visible}
+            onBlockUser={onBlockUser ? (danmaku) => onBlockUser(danmaku.userId) : undefined}
+          />
+        ) : activeDanmaku.map(danmaku => (
           <DanmakuComment
             key={danmaku.id}
             text={danmaku.text}
+            top={danmaku.top}
             commentId={danmaku.commentId}
             likesCount={danmaku.likesCount}
+            liked={danmaku.commentId ? Boolean(likeServiceRef.current?.isLiked(danmaku.commentId)) : false}
+            danmakuStyle={danmaku.style}
+            duration={danmaku.duration}
             onComplete={() => removeDanmaku(danmaku.id)}
             onLike={handleLike}
+            onShowOnModel={onShowOnModel && danmaku.anchor ? () => handleShowOnModel(danmaku) : undefined}
+            replyCount={danmaku.commentId ? getReplyCount(danmaku.commentId) : 0}
+            reactionCounts={danmaku.reactionCounts}
+            myReactions={danmaku.commentId ? reactionServiceRef.current?.getReactions(danmaku.commentId) || [] : []}
+            onReact={handleReact}
+            onOpenThread={onOpenThread && danmaku.commentId ? () => handleOpenThread(danmaku) : undefined}
+            highlighted={danmaku.highlighted}
+            fontScale={settings.fontScale}
+            playbackRate={isFixedDanmakuMode(danmaku.style.mode) ? 1 : danmaku.duration / layoutRef.current.duration}
+            onBlockUser={onBlockUser && danmaku.userId && danmaku.userId !== userId ? () => onBlockUser(danmaku.userId) : undefined}
           />
         ))}
       </div>
+      </>
     );
   } catch (error) {
     console.error('DanmakuManager component error:', error);
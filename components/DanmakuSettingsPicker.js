@@ -0,0 +1,117 @@
+/**
+ * Danmaku Settings Picker Component
+ * Button next to the visibility toggle that opens a popover with the viewer's
+ * display settings: speed, opacity, density, font size and screen area, plus
+ * a link to the personal blocklist
+ */
+function DanmakuSettingsPicker({ value, onChange, onOpenBlocklist }) {
+  const [open, setOpen] = React.useState(false);
+  const containerRef = React.useRef(null);
+  const settings = normalizeDanmakuSettings(value);
+
+  // Close when clicking outside the picker
+  React.useEffect(() => {
+    if (!open) return;
+    const handlePointerDown = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('pointerdown', handlePointerDown);
+    return () => document.removeEventListener('pointerdown', handlePointerDown);
+  }, [open]);
+
+  const update = (changes) => onChange(normalizeDanmakuSettings({ ...settings, ...changes }));
+
+  const optionClass = (selected) =>
+    `px-2 py-1 rounded-full transition-all duration-200 ${selected ? 'bg-white bg-opacity-30' : 'bg-white bg-opacity-10 hover:bg-opacity-20'}`;
+
+  const sliders = [
+    { key: 'speed', label: 'Speed', format: (speed) => `${speed}×` },
+    { key: 'opacity', label: 'Opacity', format: (opacity) => `${Math.round(opacity * 100)}%` },
+    { key: 'density', label: 'Density', format: (density) => `${Math.round(density * 100)}%` },
+    { key: 'fontScale', label: 'Font size', format: (scale) => `${Math.round(scale * 100)}%` }
+  ];
+
+  try {
+    return (
+      <div ref={containerRef} className="relative" data-name="danmaku-settings-picker" data-file="components/DanmakuSettingsPicker.js">
+        <button
+          type="button"
+          onClick={() => setOpen(!open)}
+          className="w-10 h-10 rounded-full glass-effect text-white hover:bg-white hover:bg-opacity-20 transition-all duration-300 flex items-center justify-center"
+          title="Comment display settings"
+          aria-expanded={open}
+        >
+          <div className="icon-sliders-horizontal text-sm"></div>
+        </button>
+
+        {open && (
+          <div className="absolute bottom-full left-0 mb-2 p-3 w-64 glass-effect bg-black bg-opacity-60 text-white text-xs text-left flex flex-col gap-3 z-20">
+            {sliders.map(slider => {
+              const range = DANMAKU_SETTING_RANGES[slider.key];
+              return (
+                <label key={slider.key} className="flex flex-col gap-1">
+                  <span className="flex justify-between text-white text-opacity-70">
+                    {slider.label}
+                    <span>{slider.format(settings[slider.key])}</span>
+                  </span>
+                  <input
+                    type="range"
+                    min={range.min}
+                    max={range.max}
+                    step={range.step}
+                    value={settings[slider.key]}
+                    onChange={(e) => update({ [slider.key]: Number(e.target.value) })}
+                  />
+                </label>
+              );
+            })}
+
+            <div className="flex flex-col gap-1">
+              <span className="text-white text-opacity-70">Area</span>
+              <div className="flex flex-wrap gap-1">
+                {DANMAKU_AREAS.map(area => (
+                  <button
+                    key={area.id}
+                    type="button"
+                    onClick={() => update({ area: area.id })}
+                    className={optionClass(settings.area === area.id)}
+                  >
+                    {area.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div className="flex items-center justify-between gap-2">
+              {onOpenBlocklist && (
+                <button
+                  type="button"
+                  onClick={() => {
+                    setOpen(false);
+                    onOpenBlocklist();
+                  }}
+                  className={`flex items-center gap-1 ${optionClass(false)}`}
+                >
+                  <div className="icon-ban text-xs"></div>
+                  Blocked words & users
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={() => onChange(normalizeDanmakuSettings(null))}
+                className="text-white text-opacity-70 hover:text-opacity-100 underline"
+              >
+                Reset
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    );
+  } catch (error) {
+    console.error('DanmakuSettingsPicker component error:', error);
+    return null;
+  }
+}
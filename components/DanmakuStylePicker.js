@@ -0,0 +1,100 @@
+/**
+ * Danmaku Style Picker Component
+ * Compact button next to the comment input that opens a popover for choosing
+ * the mode, color and size of the comment being written
+ */
+function DanmakuStylePicker({ value, onChange }) {
+  const [open, setOpen] = React.useState(false);
+  const containerRef = React.useRef(null);
+  const style = normalizeDanmakuStyle(value);
+
+  // Close when clicking outside the picker
+  React.useEffect(() => {
+    if (!open) return;
+    const handlePointerDown = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('pointerdown', handlePointerDown);
+    return () => document.removeEventListener('pointerdown', handlePointerDown);
+  }, [open]);
+
+  const update = (changes) => onChange({ ...style, ...changes });
+
+  const optionClass = (selected) =>
+    `px-2 py-1 rounded-full transition-all duration-200 ${selected ? 'bg-white bg-opacity-30' : 'bg-white bg-opacity-10 hover:bg-opacity-20'}`;
+
+  try {
+    return (
+      <div ref={containerRef} className="relative" data-name="danmaku-style-picker" data-file="components/DanmakuStylePicker.js">
+        <button
+          type="button"
+          onClick={() => setOpen(!open)}
+          className="w-10 h-10 rounded-full glass-effect hover:bg-white hover:bg-opacity-20 transition-all duration-300 flex items-center justify-center"
+          title="Comment style"
+          aria-expanded={open}
+        >
+          <div className="icon-palette text-sm" style={{ color: getDanmakuColor(style.color) }}></div>
+        </button>
+
+        {open && (
+          <div className="absolute bottom-full left-0 mb-2 p-3 w-64 glass-effect bg-black bg-opacity-60 text-white text-xs text-left flex flex-col gap-3 z-20">
+            <div className="flex flex-col gap-1">
+              <span className="text-white text-opacity-70">Mode</span>
+              <div className="flex flex-wrap gap-1">
+                {DANMAKU_MODES.map(mode => (
+                  <button
+                    key={mode.id}
+                    type="button"
+                    onClick={() => update({ mode: mode.id })}
+                    className={`flex items-center gap-1 ${optionClass(style.mode === mode.id)}`}
+                  >
+                    <div className={`icon-${mode.icon} text-xs`}></div>
+                    {mode.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div className="flex flex-col gap-1">
+              <span className="text-white text-opacity-70">Color</span>
+              <div className="flex gap-2">
+                {DANMAKU_COLORS.map(color => (
+                  <button
+                    key={color.id}
+                    type="button"
+                    onClick={() => update({ color: color.id })}
+                    className={`w-6 h-6 rounded-full border-2 ${style.color === color.id ? 'border-white' : 'border-transparent'}`}
+                    style={{ backgroundColor: color.value }}
+                    title={color.id}
+                    aria-label={`Color ${color.id}`}
+                  ></button>
+                ))}
+              </div>
+            </div>
+
+            <div className="flex flex-col gap-1">
+              <span className="text-white text-opacity-70">Size</span>
+              <div className="flex gap-1">
+                {Object.keys(DANMAKU_SIZES).map(size => (
+                  <button
+                    key={size}
+                    type="button"
+                    onClick={() => update({ size })}
+                    className={`capitalize ${optionClass(style.size === size)}`}
+                  >
+                    {size}
+                  </button>
+                ))}
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    );
+  } catch (error) {
+    console.error('DanmakuStylePicker component error:', error);
+    return null;
+  }
+}
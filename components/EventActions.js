@@ -0,0 +1,120 @@
+/**
+ * Event Actions Component
+ * Shows the launch time in the event's timezone and the visitor's own, with
+ * "Add to calendar" options and an opt-in browser reminder
+ */
+function EventActions({ event, now = Date.now() }) {
+  const [calendarOpen, setCalendarOpen] = React.useState(false);
+  const [reminder, setReminder] = React.useState(getStoredReminder());
+  const [minutesBefore, setMinutesBefore] = React.useState(event.reminderMinutes || 15);
+  const [reminderError, setReminderError] = React.useState('');
+
+  // Re-arm a reminder saved before a reload, and follow it when it fires
+  React.useEffect(() => {
+    const unsubscribe = onReminderChange(setReminder);
+    armStoredReminder();
+    return unsubscribe;
+  }, []);
+
+  const start = new Date(event.start);
+  const visitorTimeZone = getVisitorTimeZone();
+  const eventTime = formatEventTime(start, event.timeZone);
+  const localTime = formatEventTime(start, visitorTimeZone);
+  const sameZone = eventTime === localTime;
+  const upcoming = start.getTime() > now;
+  const reminderActive = reminder && !reminder.fired && reminder.start === event.start;
+  const reminderOptions = getReminderOptions(event);
+
+  const handleReminder = async () => {
+    setReminderError('');
+    if (reminderActive) {
+      clearEventReminder();
+      setReminder(null);
+      return;
+    }
+    if (await setEventReminder(event, minutesBefore)) {
+      setReminder(getStoredReminder());
+    } else {
+      setReminderError('Notifications are blocked or not supported in this browser.');
+    }
+  };
+
+  try {
+    return (
+      <div className="mb-6 flex flex-col items-center gap-2 text-white text-sm" data-name="event-actions" data-file="components/EventActions.js">
+        <div className="text-white text-opacity-80">
+          <span>{eventTime}</span>
+          {!sameZone && (
+            <span className="block md:inline md:ml-2 text-white text-opacity-60">
+              Your time: {localTime}
+            </span>
+          )}
+        </div>
+
+        {upcoming && (
+          <div className="flex flex-wrap items-center justify-center gap-2">
+            <div className="relative">
+              <button
+                type="button"
+                onClick={() => setCalendarOpen(!calendarOpen)}
+                className="flex items-center gap-2 px-4 py-2 rounded-full glass-effect hover:bg-white hover:bg-opacity-20 transition-all duration-300"
+                aria-expanded={calendarOpen}
+              >
+                <div className="icon-calendar-plus text-sm"></div>
+                Add to calendar
+              </button>
+              {calendarOpen && (
+                <div className="absolute top-full left-1/2 -translate-x-1/2 mt-2 p-2 w-48 glass-effect bg-black bg-opacity-60 flex flex-col text-left z-20">
+                  <button
+                    type="button"
+                    onClick={() => {
+                      downloadEventIcs(event);
+                      setCalendarOpen(false);
+                    }}
+                    className="px-3 py-2 rounded-lg text-left hover:bg-white hover:bg-opacity-20"
+                  >
+                    Download .ics
+                  </button>
+                  <a href={getGoogleCalendarUrl(event)} target="_blank" rel="noopener noreferrer" className="px-3 py-2 rounded-lg hover:bg-white hover:bg-opacity-20">
+                    Google Calendar
+                  </a>
+                  <a href={getOutlookCalendarUrl(event)} target="_blank" rel="noopener noreferrer" className="px-3 py-2 rounded-lg hover:bg-white hover:bg-opacity-20">
+                    Outlook
+                  </a>
+                </div>
+              )}
+            </div>
+
+            <div className="flex items-center gap-1 px-2 py-1 rounded-full glass-effect">
+              <button
+                type="button"
+                onClick={handleReminder}
+                className="flex items-center gap-2 px-2 py-1 rounded-full hover:bg-white hover:bg-opacity-20 transition-all duration-300"
+              >
+                <div className={`icon-${reminderActive ? 'bell-off' : 'bell'} text-sm`}></div>
+                {reminderActive ? `Reminder set (${reminder.minutesBefore} min before)` : 'Remind me'}
+              </button>
+              {!reminderActive && (
+                <select
+                  value={minutesBefore}
+                  onChange={(e) => setMinutesBefore(Number(e.target.value))}
+                  className="bg-transparent text-white border-0 outline-0"
+                  aria-label="Minutes before launch"
+                >
+                  {reminderOptions.map(minutes => (
+                    <option key={minutes} className="text-black" value={minutes}>{minutes} min before</option>
+                  ))}
+                </select>
+              )}
+            </div>
+          </div>
+        )}
+
+        {reminderError && <p role="alert" className="text-red-300">{reminderError}</p>}
+      </div>
+    );
+  } catch (error) {
+    console.error('EventActions component error:', error);
+    return null;
+  }
+}
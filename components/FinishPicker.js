@@ -0,0 +1,34 @@
+/**
+ * Finish Picker Component
+ * Row of color swatches under the 3D model, one per manifest variant
+ */
+function FinishPicker({ variants = [], value, onChange }) {
+  const selected = variants.find(variant => variant.id === value);
+
+  if (variants.length < 2) return null;
+
+  try {
+    return (
+      <div className="mb-6 flex flex-col items-center gap-2 text-white text-sm" data-danmaku-exclude data-name="finish-picker" data-file="components/FinishPicker.js">
+        <div className="flex items-center gap-3 px-3 py-2 rounded-full glass-effect" role="radiogroup" aria-label="Finish">
+          {variants.map(variant => (
+            <button
+              key={variant.id}
+              type="button"
+              role="radio"
+              aria-checked={variant.id === value}
+              onClick={() => onChange(variant.id)}
+              className={`w-7 h-7 rounded-full border-2 transition-all duration-200 ${variant.id === value ? 'border-white scale-110' : 'border-white border-opacity-30 hover:border-opacity-70'}`}
+              style={{ backgroundColor: variant.color }}
+              title={variant.name}
+            ></button>
+          ))}
+        </div>
+        {selected && <div className="text-white text-opacity-80">{selected.name}</div>}
+      </div>
+    );
+  } catch (error) {
+    console.error('FinishPicker component error:', error);
+    return null;
+  }
+}
@@ -12,6 +12,18 @@
  * // With custom styles
  * <LiquidBackground className="rounded-lg border" />
  *
+ * // Tinted to a product finish (colors blend over smoothly when they change)
+ * <LiquidBackground color="#e8742c" palette={['#1a0d05', '#8a3a10', '#ffb347', '#e8742c']} />
+ *
+ * // Calmer, less turbulent, swirling around the cursor / finger
+ * <LiquidBackground speed={0.5} iterations={5} blend={0.5} pointer />
+ *
+ * // Ripples on demand: each pulse flares outwards and decays, frequent pulses
+ * // build up energy that speeds up and brightens the whole effect
+ * const backgroundRef = React.useRef(null);
+ * <LiquidBackground ref={backgroundRef} />
+ * backgroundRef.current.pulse({ x: 200, y: 120, color: '#ff7204', strength: 1 });
+ *
  * // In a fixed size container
  * <div className="w-[600px] h-[400px]">
  *   <LiquidBackground />
@@ -35,28 +47,121 @@
  * Notes:
  * - Check HTML head for existing dependencies before adding
  * - Parent container must have explicit width and height
- * - Requires browser WebGL support
+ * - Uses WebGL when available, otherwise a static CSS gradient built from the palette
  * - Component automatically adapts to container size changes
+ * - All props are applied through uniforms, changing them never rebuilds the program
+ * - Render resolution drops while frames are slow (devicePixelRatio capped at 1.5)
+ *   and recovers once they are fast again
+ * - Pauses while the tab is hidden or the container is off-screen, draws a single
+ *   static frame under prefers-reduced-motion, and rebuilds after a lost WebGL context
  *
  * Props:
  * @param {Object} props
  * @param {string} [props.className]
+ * @param {string} [props.color] - Hex tint mixed over the whole effect (uColor)
+ * @param {string[]} [props.palette] - Four hex colors: shadow, cool, warm, hot
+ * @param {number} [props.speed=1] - Animation time scale
+ * @param {number} [props.iterations=8] - Turbulence loop count, 1 to 16
+ * @param {number} [props.blend=0.3] - How strongly `color` is mixed over the palette, 0 to 1
+ * @param {boolean} [props.pointer=false] - Swirl the fluid around the pointer / touch point
+ * @param {Object} ref - Handle with `pulse({ x, y, color, strength })`; x / y are viewport
+ *   pixels and default to the last pointer press
  */
-function LiquidBackground({ className }) {
+const DEFAULT_LIQUID_COLOR = '#1a4dcc';
+const DEFAULT_LIQUID_PALETTE = ['#0d0d1a', '#0033b3', '#ffe633', '#ff0000'];
+const MAX_LIQUID_ITERATIONS = 16; // loop bound compiled into the shader
+const MAX_LIQUID_DPR = 1.5;
+const LIQUID_QUALITY_STEPS = [1, 0.75, 0.5, 0.35]; // render scale per quality level
+const LIQUID_SLOW_RATIO = 60 / 45; // average frame time, relative to the display's, that lowers quality
+const LIQUID_FAST_RATIO = 60 / 58; // relative average frame time that may raise it again
+const LIQUID_REFRESH_SAMPLES = 60; // frame intervals measured to find the display's refresh interval
+const OGL_WAIT_LIMIT = 5000; // give up on the OGL module after this long
+const MAX_LIQUID_PULSES = 4; // pulse slots in the shader, the oldest is replaced
+const LIQUID_PULSE_LIFETIME = 3; // seconds until a pulse has faded out
+const LIQUID_ENERGY_HALF_LIFE = 4000; // ms for accumulated activity to halve
+
+function hexToRgb(hex) {
+  return [1, 3, 5].map(offset => parseInt(hex.slice(offset, offset + 2), 16) / 255);
+}
+
+const LiquidBackground = React.forwardRef(function LiquidBackground({
+  className,
+  color = DEFAULT_LIQUID_COLOR,
+  palette = DEFAULT_LIQUID_PALETTE,
+  speed = 1,
+  iterations = 8,
+  blend = 0.3,
+  pointer = false
+}, ref) {
   /** @type {import('react').RefObject<HTMLDivElement>} */
   const containerRef = React.useRef(null);
+  const [fallback, setFallback] = React.useState(false);
+
+  // Redraws the static frame when props change while the loop is paused
+  const redrawRef = React.useRef(null);
+
+  // Colors the animation loop blends towards, read every frame
+  const targetColorsRef = React.useRef(null);
+  targetColorsRef.current = {
+    uColor: hexToRgb(color),
+    uPalette0: hexToRgb(palette[0]),
+    uPalette1: hexToRgb(palette[1]),
+    uPalette2: hexToRgb(palette[2]),
+    uPalette3: hexToRgb(palette[3])
+  };
+
+  // Other settings, also read every frame
+  const settingsRef = React.useRef(null);
+  settingsRef.current = {
+    speed,
+    iterations: Math.max(1, Math.min(MAX_LIQUID_ITERATIONS, Math.round(iterations))),
+    blend: Math.max(0, Math.min(1, blend)),
+    pointer
+  };
+
+  // Last pointer position in container UV space (0..1, origin bottom left) and its energy
+  const pointerRef = React.useRef({ x: 0.5, y: 0.5, strength: 0, movedAt: 0 });
 
-  /** @type {number} */
-  let animateId;
+  // Active pulses { x, y, color, strength, startedAt } and the activity level they add up to
+  const pulsesRef = React.useRef([]);
+  const energyRef = React.useRef({ value: 0, updatedAt: 0 });
+  const lastPressRef = React.useRef(null);
 
-  /** @type {Renderer} */
-  let renderer;
+  const getEnergy = (now) => {
+    const energy = energyRef.current;
+    energy.value *= Math.pow(0.5, (now - energy.updatedAt) / LIQUID_ENERGY_HALF_LIFE);
+    energy.updatedAt = now;
+    return energy.value;
+  };
 
-  /** @type {WebGLRenderingContext} */
-  let gl;
+  React.useImperativeHandle(ref, () => ({
+    pulse({ x, y, color: pulseColor = '#ffffff', strength = 1 } = {}) {
+      const container = containerRef.current;
+      if (!container) return;
+      if (window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches) return;
 
-  /** @type {Mesh} */
-  let mesh;
+      const rect = container.getBoundingClientRect();
+      const origin = x !== undefined && y !== undefined
+        ? { x, y }
+        : lastPressRef.current || { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+      const now = performance.now();
+
+      // Busy streams hit harder: each pulse adds energy, which amplifies the next ones
+      const energy = getEnergy(now);
+      energyRef.current.value = Math.min(energy + strength, 10);
+
+      pulsesRef.current = [
+        ...pulsesRef.current.slice(-(MAX_LIQUID_PULSES - 1)),
+        {
+          x: (origin.x - rect.left) / rect.width,
+          y: 1 - (origin.y - rect.top) / rect.height,
+          color: hexToRgb(pulseColor),
+          strength: Math.min(strength * (1 + energy * 0.15), 2.5),
+          startedAt: now
+        }
+      ];
+    }
+  }), []);
 
   // Vertex shader - defines geometry shape
   const vert = `
@@ -76,28 +181,59 @@ function LiquidBackground({ className }) {
     precision highp float;
     
     uniform float uTime;
+    uniform float uIterations;
+    uniform float uBlend;
+    uniform vec2 uPointer;
+    uniform float uPointerStrength;
     uniform vec3 uColor;
+    uniform vec3 uPalette0;
+    uniform vec3 uPalette1;
+    uniform vec3 uPalette2;
+    uniform vec3 uPalette3;
     uniform vec3 uResolution;
+    uniform vec4 uPulses[${MAX_LIQUID_PULSES}]; // xy: position (0..1), z: age in seconds, w: strength
+    uniform vec3 uPulseColors[${MAX_LIQUID_PULSES}];
+    uniform float uEnergy;
     
     varying vec2 vUv;
     
     void main() {
         float mr = min(uResolution.x, uResolution.y);
         vec2 uv = (vUv.xy * 2.0 - 1.0) * uResolution.xy / mr;
+        
+        // Swirl around the pointer, fading out with distance
+        vec2 p = (uPointer * 2.0 - 1.0) * uResolution.xy / mr;
+        vec2 toPointer = uv - p;
+        float swirl = uPointerStrength * 2.5 * exp(-dot(toPointer, toPointer) * 4.0);
+        uv = p + mat2(cos(swirl), -sin(swirl), sin(swirl), cos(swirl)) * toPointer;
+        
+        // Expanding rings that push the fluid outwards and tint it, fading with age
+        vec3 flare = vec3(0.0);
+        for (int k = 0; k < ${MAX_LIQUID_PULSES}; k++) {
+            vec4 pulse = uPulses[k];
+            if (pulse.w <= 0.0) continue;
+            vec2 toPulse = uv - (pulse.xy * 2.0 - 1.0) * uResolution.xy / mr;
+            float dist = length(toPulse);
+            float ringOffset = (dist - pulse.z * 1.2) * 6.0;
+            float ring = exp(-ringOffset * ringOffset) * pulse.w * exp(-pulse.z * 1.5);
+            uv += toPulse / max(dist, 0.001) * ring * 0.08;
+            flare += uPulseColors[k] * ring;
+        }
     
         float d = -uTime * 1.2;
         float a = 0.0;
-        for (float i = 0.0; i < 8.0; ++i) {
+        for (float i = 0.0; i < ${MAX_LIQUID_ITERATIONS}.0; ++i) {
+            if (i >= uIterations) break;
             a += cos(i - d - a * uv.x);
             d += sin(uv.y * i + a);
         }
         d += uTime * 1.0;
         
-        // Create dynamic color mixing with black, blue, yellow, red
-        vec3 black = vec3(0.05, 0.05, 0.1);
-        vec3 blue = vec3(0.0, 0.2, 0.7);
-        vec3 yellow = vec3(1.0, 0.9, 0.2);
-        vec3 red = vec3(1.0, 0.0, 0.0);
+        // Create dynamic color mixing across the palette (shadow, cool, warm, hot)
+        vec3 black = uPalette0;
+        vec3 blue = uPalette1;
+        vec3 yellow = uPalette2;
+        vec3 red = uPalette3;
         
         float noise1 = cos(uv.x * 3.0 + d) * 0.5 + 0.5;
         float noise2 = sin(uv.y * 2.5 + a) * 0.5 + 0.5;
@@ -108,110 +244,329 @@ function LiquidBackground({ className }) {
         vec3 finalCol = mix(col1, col2, noise3);
         
         // Add some dynamic variation
-        finalCol = mix(finalCol, uColor, 0.3);
+        finalCol = mix(finalCol, uColor, uBlend);
+        
+        // Activity flares and overall energy
+        finalCol += flare * 0.5;
+        finalCol *= 1.0 + uEnergy * 0.04;
         
         gl_FragColor = vec4(finalCol, 1.0);
     }
   `;
 
   React.useEffect(() => {
-    if (!containerRef.current) return;
+    const container = containerRef.current;
+    if (!container) return;
 
-    // Check if OGL is available, if not, retry after a short delay
-    const initializeOGL = () => {
-      if (!window.OGL) {
-        setTimeout(initializeOGL, 100); // Retry after 100ms
+    const reducedMotion = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+    let retryTimer;
+    let waited = 0;
+    let teardown = null;
+    let onScreen = true;
+    let elapsed = 0;
+
+    const start = () => {
+      const { Renderer, Program, Mesh, Triangle } = window.OGL;
+
+      /** @type {Renderer} */
+      let renderer;
+      try {
+        renderer = new Renderer({ dpr: Math.min(window.devicePixelRatio || 1, MAX_LIQUID_DPR) });
+      } catch (error) {
+        renderer = null;
+      }
+      if (!renderer || !renderer.gl) {
+        console.warn('[LiquidBackground] WebGL unavailable, using CSS fallback');
+        setFallback(true);
         return;
       }
 
-      const { Renderer, Program, Mesh, Color, Triangle } = window.OGL;
-
-    // Initialize WebGL renderer
-    renderer = new Renderer();
-    gl = renderer.gl;
-    gl.clearColor(1, 1, 1, 1);
-
-    // Responsive size adjustment
-    const resize = () => {
-      if (!containerRef.current) return;
-      const scale = 1;
-      renderer.setSize(
-        containerRef.current.offsetWidth * scale,
-        containerRef.current.offsetHeight * scale
-      );
-      if (mesh) {
-        mesh.program.uniforms.uResolution.value = [
-          gl.canvas.width,
-          gl.canvas.height,
-          gl.canvas.width / gl.canvas.height,
-        ];
-      }
-    };
+      /** @type {WebGLRenderingContext} */
+      const gl = renderer.gl;
+      gl.clearColor(1, 1, 1, 1);
 
-    // Animation loop
-    const update = (t) => {
-      animateId = requestAnimationFrame(update);
-      if (mesh) {
-        mesh.program.uniforms.uTime.value = t * 0.001;
-        renderer.render({ scene: mesh });
-      }
-    };
+      /** @type {number} */
+      let animateId = null;
+      let contextLost = false;
+      let qualityIndex = 0;
+      let fastWindows = 0;
+      let frameCount = 0;
+      let frameTotal = 0;
+      let lastFrame = null;
+      // Display refresh interval, measured from the first frames: 30 Hz screens and
+      // throttled tabs can't go faster, so they are not mistaken for a slow GPU
+      let refreshInterval = null;
+      const refreshSamples = [];
 
-    window.addEventListener("resize", resize, false);
-    resize();
-
-    // Create geometry and shader program
-    const geometry = new Triangle(gl);
-
-    const program = new Program(gl, {
-      vertex: vert,
-      fragment: frag,
-      uniforms: {
-        uTime: { value: 0 },
-        uColor: { value: new Color(0.1, 0.3, 0.8) }, // Deep blue base color
-        uResolution: {
-          value: [
-            gl.canvas.width,
-            gl.canvas.height,
-            gl.canvas.width / gl.canvas.height,
-          ],
+      // Create geometry and shader program
+      const geometry = new Triangle(gl);
+
+      const program = new Program(gl, {
+        vertex: vert,
+        fragment: frag,
+        uniforms: {
+          uTime: { value: elapsed },
+          uIterations: { value: settingsRef.current.iterations },
+          uBlend: { value: settingsRef.current.blend },
+          uPointer: { value: [0.5, 0.5] },
+          uPointerStrength: { value: 0 },
+          uColor: { value: [...targetColorsRef.current.uColor] },
+          uPalette0: { value: [...targetColorsRef.current.uPalette0] },
+          uPalette1: { value: [...targetColorsRef.current.uPalette1] },
+          uPalette2: { value: [...targetColorsRef.current.uPalette2] },
+          uPalette3: { value: [...targetColorsRef.current.uPalette3] },
+          uResolution: { value: [gl.canvas.width, gl.canvas.height, gl.canvas.width / gl.canvas.height] },
+          uPulses: { value: new Array(MAX_LIQUID_PULSES * 4).fill(0) },
+          uPulseColors: { value: new Array(MAX_LIQUID_PULSES * 3).fill(0) },
+          uEnergy: { value: 0 },
         },
-      },
-    });
+      });
+
+      /** @type {Mesh} */
+      const mesh = new Mesh(gl, { geometry, program });
+      const { uniforms } = program;
+
+      // Responsive size adjustment, at the current quality level
+      const resize = () => {
+        if (!containerRef.current) return;
+        renderer.dpr = Math.min(window.devicePixelRatio || 1, MAX_LIQUID_DPR) * LIQUID_QUALITY_STEPS[qualityIndex];
+        renderer.setSize(containerRef.current.offsetWidth, containerRef.current.offsetHeight);
+        uniforms.uResolution.value = [gl.canvas.width, gl.canvas.height, gl.canvas.width / gl.canvas.height];
+      };
+
+      // Average frame times over 60 frames: step down when slow, step up after a run of fast windows.
+      // The refresh interval is taken from the quicker frames, which still land on vsync under load
+      const governQuality = (frameTime) => {
+        if (refreshInterval === null) {
+          refreshSamples.push(frameTime);
+          if (refreshSamples.length < LIQUID_REFRESH_SAMPLES) return;
+          const sorted = [...refreshSamples].sort((a, b) => a - b);
+          refreshInterval = sorted[Math.floor(sorted.length * 0.1)];
+          console.log('[LiquidBackground] Display refresh interval:', refreshInterval.toFixed(1) + 'ms');
+          return;
+        }
+
+        frameTotal += frameTime;
+        frameCount += 1;
+        if (frameCount < 60) return;
+
+        const average = frameTotal / frameCount;
+        frameTotal = 0;
+        frameCount = 0;
+
+        if (average > refreshInterval * LIQUID_SLOW_RATIO && qualityIndex < LIQUID_QUALITY_STEPS.length - 1) {
+          qualityIndex += 1;
+          fastWindows = 0;
+          console.log('[LiquidBackground] Slow frames (' + average.toFixed(1) + 'ms), render scale:', LIQUID_QUALITY_STEPS[qualityIndex]);
+          resize();
+        } else if (average < refreshInterval * LIQUID_FAST_RATIO && qualityIndex > 0) {
+          fastWindows += 1;
+          if (fastWindows >= 5) {
+            qualityIndex -= 1;
+            fastWindows = 0;
+            console.log('[LiquidBackground] Frames recovered, render scale:', LIQUID_QUALITY_STEPS[qualityIndex]);
+            resize();
+          }
+        } else {
+          fastWindows = 0;
+        }
+      };
+
+      // Copy props into uniforms, easing colors and the pointer unless snapping a static frame
+      const applyUniforms = (ease) => {
+        const settings = settingsRef.current;
+        uniforms.uTime.value = elapsed;
+        uniforms.uIterations.value = settings.iterations;
+        uniforms.uBlend.value = settings.blend;
 
-    // Create mesh and start animation
-    mesh = new Mesh(gl, { geometry, program });
-    animateId = requestAnimationFrame(update);
+        // Swirl builds up while the pointer moves and settles once it rests
+        const pointerState = pointerRef.current;
+        const active = settings.pointer && performance.now() - pointerState.movedAt < 1500;
+        pointerState.strength += ((active ? 1 : 0) - pointerState.strength) * ease;
+        uniforms.uPointerStrength.value = pointerState.strength;
+        uniforms.uPointer.value[0] += (pointerState.x - uniforms.uPointer.value[0]) * Math.min(1, ease * 4);
+        uniforms.uPointer.value[1] += (pointerState.y - uniforms.uPointer.value[1]) * Math.min(1, ease * 4);
 
-    // Set canvas styles to ensure proper positioning and sizing
-    gl.canvas.style.position = "absolute";
-    gl.canvas.style.top = "0";
-    gl.canvas.style.left = "0";
-    gl.canvas.style.width = "100%";
-    gl.canvas.style.height = "100%";
-    gl.canvas.style.display = "block";
+        // Pulses in slot order, expired ones switched off
+        const now = performance.now();
+        pulsesRef.current = pulsesRef.current.filter(pulse => (now - pulse.startedAt) / 1000 < LIQUID_PULSE_LIFETIME);
+        for (let k = 0; k < MAX_LIQUID_PULSES; k++) {
+          const pulse = pulsesRef.current[k];
+          uniforms.uPulses.value.splice(k * 4, 4, ...(pulse ? [pulse.x, pulse.y, (now - pulse.startedAt) / 1000, pulse.strength] : [0, 0, 0, 0]));
+          uniforms.uPulseColors.value.splice(k * 3, 3, ...(pulse ? pulse.color : [0, 0, 0]));
+        }
+        uniforms.uEnergy.value = getEnergy(now);
+
+        // Ease colors towards the current props so finish changes fade in
+        Object.entries(targetColorsRef.current).forEach(([name, target]) => {
+          const value = uniforms[name].value;
+          for (let i = 0; i < 3; i++) {
+            value[i] += (target[i] - value[i]) * ease;
+          }
+        });
+      };
+
+      // Animation loop
+      const update = (t) => {
+        animateId = requestAnimationFrame(update);
+        if (lastFrame !== null) {
+          const frameTime = t - lastFrame;
+          governQuality(frameTime);
+          // Accumulate scaled time so speed changes don't jump the animation, activity speeds it up
+          elapsed += Math.min(frameTime, 100) * 0.001 * settingsRef.current.speed * (1 + Math.min(getEnergy(t), 10) * 0.05);
+        }
+        lastFrame = t;
+        applyUniforms(0.05);
+        renderer.render({ scene: mesh });
+      };
+
+      const shouldAnimate = () => !contextLost
+        && document.visibilityState === 'visible'
+        && onScreen
+        && !(reducedMotion && reducedMotion.matches);
+
+      const drawStaticFrame = () => {
+        if (contextLost) return;
+        applyUniforms(1);
+        renderer.render({ scene: mesh });
+      };
+
+      // Start or stop the loop to match visibility and motion preferences
+      const refreshLoop = () => {
+        if (shouldAnimate()) {
+          if (animateId === null) {
+            lastFrame = null;
+            animateId = requestAnimationFrame(update);
+          }
+          return;
+        }
+        if (animateId !== null) {
+          cancelAnimationFrame(animateId);
+          animateId = null;
+        }
+        if (reducedMotion && reducedMotion.matches) drawStaticFrame();
+      };
+
+      // Track the pointer over the whole window, content above the canvas takes the events
+      const handlePointerMove = (e) => {
+        if (e.type === 'pointerdown') lastPressRef.current = { x: e.clientX, y: e.clientY };
+        if (!settingsRef.current.pointer || !containerRef.current) return;
+        const rect = containerRef.current.getBoundingClientRect();
+        pointerRef.current.x = (e.clientX - rect.left) / rect.width;
+        pointerRef.current.y = 1 - (e.clientY - rect.top) / rect.height;
+        pointerRef.current.movedAt = performance.now();
+      };
+
+      const handleContextLost = (e) => {
+        e.preventDefault(); // allow the browser to restore it
+        console.warn('[LiquidBackground] WebGL context lost');
+        contextLost = true;
+        refreshLoop();
+      };
+
+      // OGL caches GL state, so rebuild everything on a fresh renderer
+      const handleContextRestored = () => {
+        console.log('[LiquidBackground] WebGL context restored, rebuilding');
+        teardown(false);
+        start();
+      };
+
+      const handleVisibilityChange = () => refreshLoop();
+
+      const observer = window.IntersectionObserver
+        ? new IntersectionObserver(([entry]) => {
+          onScreen = entry.isIntersecting;
+          refreshLoop();
+        })
+        : null;
+
+      window.addEventListener("resize", resize, false);
+      window.addEventListener("pointermove", handlePointerMove, { passive: true });
+      window.addEventListener("pointerdown", handlePointerMove, { passive: true });
+      document.addEventListener("visibilitychange", handleVisibilityChange);
+      if (reducedMotion) reducedMotion.addEventListener("change", refreshLoop);
+      gl.canvas.addEventListener("webglcontextlost", handleContextLost, false);
+      gl.canvas.addEventListener("webglcontextrestored", handleContextRestored, false);
+      if (observer) observer.observe(container);
+
+      // Set canvas styles to ensure proper positioning and sizing
+      gl.canvas.style.position = "absolute";
+      gl.canvas.style.top = "0";
+      gl.canvas.style.left = "0";
+      gl.canvas.style.width = "100%";
+      gl.canvas.style.height = "100%";
+      gl.canvas.style.display = "block";
 
-    containerRef.current.appendChild(gl.canvas);
+      container.appendChild(gl.canvas);
+      resize();
+      redrawRef.current = () => {
+        if (animateId === null) drawStaticFrame();
+      };
+      refreshLoop();
 
-      // Cleanup function
-      return () => {
+      teardown = (loseContext = true) => {
         cancelAnimationFrame(animateId);
+        redrawRef.current = null;
         window.removeEventListener("resize", resize);
-        if (containerRef.current && gl?.canvas) {
-          containerRef.current.removeChild(gl.canvas);
+        window.removeEventListener("pointermove", handlePointerMove);
+        window.removeEventListener("pointerdown", handlePointerMove);
+        document.removeEventListener("visibilitychange", handleVisibilityChange);
+        if (reducedMotion) reducedMotion.removeEventListener("change", refreshLoop);
+        gl.canvas.removeEventListener("webglcontextlost", handleContextLost);
+        gl.canvas.removeEventListener("webglcontextrestored", handleContextRestored);
+        if (observer) observer.disconnect();
+        if (gl.canvas.parentNode) {
+          gl.canvas.parentNode.removeChild(gl.canvas);
         }
-        gl?.getExtension("WEBGL_lose_context")?.loseContext();
+        if (loseContext) gl.getExtension("WEBGL_lose_context")?.loseContext();
       };
     };
 
+    // Check if OGL is available, if not, retry after a short delay
+    const initializeOGL = () => {
+      if (window.OGL) {
+        start();
+        return;
+      }
+      waited += 100;
+      if (waited >= OGL_WAIT_LIMIT) {
+        console.warn('[LiquidBackground] OGL did not load, using CSS fallback');
+        setFallback(true);
+        return;
+      }
+      retryTimer = setTimeout(initializeOGL, 100); // Retry after 100ms
+    };
+
     // Start initialization
     initializeOGL();
+
+    return () => {
+      clearTimeout(retryTimer);
+      if (teardown) teardown();
+    };
   }, []);
 
+  // A paused loop (reduced motion) still reflects prop changes
+  React.useEffect(() => {
+    if (redrawRef.current) redrawRef.current();
+  }, [color, palette, iterations, blend]);
+
+  // Static gradient from the same palette when WebGL can't start
+  const fallbackStyle = fallback ? {
+    background: [
+      `radial-gradient(circle at 20% 25%, ${palette[1]} 0%, transparent 55%)`,
+      `radial-gradient(circle at 80% 70%, ${palette[3]} 0%, transparent 50%)`,
+      `radial-gradient(circle at 65% 15%, ${palette[2]} 0%, transparent 35%)`,
+      `linear-gradient(135deg, ${palette[0]} 0%, ${color} 100%)`
+    ].join(', ')
+  } : undefined;
+
   return (
     <div
       ref={containerRef}
       className={cn("relative block size-full", className)}
+      style={fallbackStyle}
+      data-liquid-fallback={fallback || undefined}
     />
   );
-}
+});
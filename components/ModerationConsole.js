@@ -0,0 +1,245 @@
+/**
+ * Moderation Console Component
+ * Admin panel for listing danmaku comments and hiding, deleting or pinning them.
+ * Locked until moderator mode is unlocked (see lib/moderation.js).
+ */
+function ModerationConsole({ userId, onClose }) {
+  const [unlocked, setUnlocked] = React.useState(isModerator());
+  const [passphrase, setPassphrase] = React.useState('');
+  const [items, setItems] = React.useState([]);
+  const [cursor, setCursor] = React.useState(null);
+  const [loading, setLoading] = React.useState(false);
+  const [statusFilter, setStatusFilter] = React.useState('all');
+  const [search, setSearch] = React.useState('');
+  const [busyId, setBusyId] = React.useState(null);
+  const [error, setError] = React.useState('');
+  const [showLog, setShowLog] = React.useState(false);
+  const [logItems, setLogItems] = React.useState([]);
+
+  const loadPage = async (nextCursor = null) => {
+    setLoading(true);
+    try {
+      const page = await getCommentStorage().list('danmaku_comment', { limit: 50, cursor: nextCursor, descending: true });
+      const loaded = page.items.map(item => ({ ...toDanmakuComment(item), userId: item.objectData.user_id }));
+      setItems(prev => (nextCursor ? [...prev, ...loaded] : loaded));
+      setCursor(page.nextCursor);
+    } catch (loadError) {
+      console.error('[ModerationConsole] Error loading comments:', loadError);
+      setError('Could not load comments.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadLog = async () => {
+    try {
+      const page = await getCommentStorage().list(MODERATION_LOG_TYPE, { limit: 50, descending: true });
+      setLogItems(page.items);
+    } catch (loadError) {
+      console.error('[ModerationConsole] Error loading audit log:', loadError);
+      setError('Could not load the audit log.');
+    }
+  };
+
+  React.useEffect(() => {
+    if (unlocked) loadPage();
+  }, [unlocked]);
+
+  React.useEffect(() => {
+    if (unlocked && showLog) loadLog();
+  }, [unlocked, showLog]);
+
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+    setError('');
+    if (await unlockModeration(passphrase)) {
+      setPassphrase('');
+      setUnlocked(true);
+    } else {
+      setError('Wrong passphrase.');
+    }
+  };
+
+  const handleLock = () => {
+    lockModeration();
+    setUnlocked(false);
+    setItems([]);
+  };
+
+  const handleAction = async (comment, action) => {
+    if (action === 'delete' && !window.confirm(`Delete "${comment.text}"? This cannot be undone.`)) return;
+
+    setBusyId(comment.id);
+    setError('');
+    try {
+      const status = await moderateComment({
+        storage: getCommentStorage(),
+        commentId: comment.id,
+        action,
+        moderatorId: userId
+      });
+      setItems(prev => (status === null
+        ? prev.filter(item => item.id !== comment.id)
+        : prev.map(item => (item.id === comment.id ? { ...item, status } : item))));
+      if (showLog) loadLog();
+    } catch (actionError) {
+      console.error('[ModerationConsole] Moderation action failed:', actionError);
+      setError(`Could not ${action} the comment.`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const query = search.trim().toLowerCase();
+  const visibleItems = items.filter(item =>
+    (statusFilter === 'all' || item.status === statusFilter) &&
+    (!query || (item.text || '').toLowerCase().includes(query) || (item.userId || '').toLowerCase().includes(query))
+  );
+
+  const actionButton = (comment, action, label, icon) => (
+    <button
+      type="button"
+      onClick={() => handleAction(comment, action)}
+      disabled={busyId === comment.id}
+      className="flex items-center gap-1 px-2 py-1 rounded-full bg-white bg-opacity-10 hover:bg-opacity-20 transition-all duration-200 disabled:opacity-50"
+      title={label}
+    >
+      <div className={`icon-${icon} text-xs`}></div>
+      <span>{label}</span>
+    </button>
+  );
+
+  try {
+    return (
+      <div
+        className="fixed top-0 right-0 bottom-0 z-[60] w-full max-w-md p-4 flex flex-col gap-3 bg-black bg-opacity-80 backdrop-blur-md text-white text-sm"
+        data-name="moderation-console"
+        data-file="components/ModerationConsole.js"
+      >
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-bold flex items-center gap-2">
+            <div className="icon-shield text-base"></div>
+            Moderation
+          </h2>
+          <div className="flex items-center gap-2">
+            {unlocked && (
+              <button type="button" onClick={handleLock} className="px-3 py-1 rounded-full glass-effect hover:bg-white hover:bg-opacity-20">
+                Lock
+              </button>
+            )}
+            <button type="button" onClick={onClose} className="w-8 h-8 rounded-full glass-effect flex items-center justify-center" title="Close">
+              <div className="icon-x text-sm"></div>
+            </button>
+          </div>
+        </div>
+
+        {error && <p role="alert" className="text-red-300">{error}</p>}
+
+        {!unlocked ? (
+          <form onSubmit={handleUnlock} className="flex gap-2">
+            <input
+              type="password"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              placeholder="Moderator passphrase"
+              className="flex-1 px-4 py-2 rounded-full glass-effect text-white placeholder-white placeholder-opacity-70 border-0 outline-0"
+            />
+            <button type="submit" className="px-4 py-2 rounded-full bg-white bg-opacity-20 hover:bg-opacity-30">
+              Unlock
+            </button>
+          </form>
+        ) : (
+          <>
+            <div className="flex gap-2">
+              <input
+                type="search"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="Search text or user id"
+                className="flex-1 px-4 py-2 rounded-full glass-effect text-white placeholder-white placeholder-opacity-70 border-0 outline-0"
+              />
+              <select
+                value={statusFilter}
+                onChange={(e) => setStatusFilter(e.target.value)}
+                className="px-3 py-2 rounded-full glass-effect text-white bg-transparent border-0 outline-0"
+              >
+                <option className="text-black" value="all">All</option>
+                <option className="text-black" value={COMMENT_STATUS.VISIBLE}>Visible</option>
+                <option className="text-black" value={COMMENT_STATUS.HIDDEN}>Hidden</option>
+                <option className="text-black" value={COMMENT_STATUS.PINNED}>Pinned</option>
+              </select>
+            </div>
+
+            <div className="flex gap-2 text-xs">
+              <button
+                type="button"
+                onClick={() => setShowLog(false)}
+                className={`px-3 py-1 rounded-full ${!showLog ? 'bg-white bg-opacity-30' : 'bg-white bg-opacity-10'}`}
+              >
+                Comments
+              </button>
+              <button
+                type="button"
+                onClick={() => setShowLog(true)}
+                className={`px-3 py-1 rounded-full ${showLog ? 'bg-white bg-opacity-30' : 'bg-white bg-opacity-10'}`}
+              >
+                Audit log
+              </button>
+            </div>
+
+            <div className="flex-1 overflow-y-auto flex flex-col gap-2">
+              {showLog ? (
+                logItems.length === 0 ? (
+                  <p className="text-white text-opacity-60">No moderation actions yet.</p>
+                ) : logItems.map(entry => (
+                  <div key={entry.objectId} className="p-3 rounded-xl bg-white bg-opacity-10">
+                    <div className="font-medium">{entry.objectData.action} · {entry.objectData.comment_text}</div>
+                    <div className="text-xs text-white text-opacity-60">
+                      {entry.objectData.moderator_id} · {new Date(entry.createdAt).toLocaleString()}
+                    </div>
+                  </div>
+                ))
+              ) : (
+                <>
+                  {visibleItems.map(comment => (
+                    <div key={comment.id} className="p-3 rounded-xl bg-white bg-opacity-10 flex flex-col gap-2">
+                      <div className="break-words">{comment.text}</div>
+                      <div className="text-xs text-white text-opacity-60">
+                        {comment.status} · {comment.likesCount} likes · {comment.userId || 'unknown user'} · {new Date(comment.createdAt).toLocaleString()}
+                      </div>
+                      <div className="flex flex-wrap gap-2 text-xs">
+                        {comment.status === COMMENT_STATUS.HIDDEN
+                          ? actionButton(comment, 'unhide', 'Unhide', 'eye')
+                          : actionButton(comment, 'hide', 'Hide', 'eye-off')}
+                        {comment.status === COMMENT_STATUS.PINNED
+                          ? actionButton(comment, 'unpin', 'Unpin', 'pin-off')
+                          : actionButton(comment, 'pin', 'Pin', 'pin')}
+                        {actionButton(comment, 'delete', 'Delete', 'trash-2')}
+                      </div>
+                    </div>
+                  ))}
+                  {!loading && visibleItems.length === 0 && (
+                    <p className="text-white text-opacity-60">No comments match.</p>
+                  )}
+                  {cursor && (
+                    <button
+                      type="button"
+                      onClick={() => loadPage(cursor)}
+                      disabled={loading}
+                      className="px-4 py-2 rounded-full glass-effect hover:bg-white hover:bg-opacity-20 disabled:opacity-50"
+                    >
+                      {loading ? 'Loading...' : 'Load more'}
+                    </button>
+                  )}
+                </>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    );
+  } catch (error) {
+    console.error('ModerationConsole component error:', error);
+    return null;
+  }
+}
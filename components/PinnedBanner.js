@@ -0,0 +1,44 @@
+/**
+ * Pinned Banner Component
+ * Shows comments pinned by a moderator in a fixed banner at the top of the screen,
+ * rotating through them when more than one is pinned
+ */
+function PinnedBanner({ comments = [], interval = 6000 }) {
+  const [index, setIndex] = React.useState(0);
+
+  React.useEffect(() => {
+    if (comments.length <= 1) return;
+    const timer = setInterval(() => {
+      setIndex(prev => (prev + 1) % comments.length);
+    }, interval);
+    return () => clearInterval(timer);
+  }, [comments.length, interval]);
+
+  if (comments.length === 0) return null;
+
+  const current = comments[index % comments.length];
+
+  try {
+    return (
+      <div
+        className="fixed top-4 left-1/2 -translate-x-1/2 z-40 max-w-[90vw]"
+        data-name="pinned-banner"
+        data-file="components/PinnedBanner.js"
+        data-danmaku-exclude
+      >
+        <div className="flex items-center gap-2 px-4 py-2 glass-effect text-white text-sm md:text-base font-medium">
+          <div className="icon-pin text-sm text-yellow-300"></div>
+          <span className="truncate">{current.text}</span>
+          {comments.length > 1 && (
+            <span className="text-xs text-white text-opacity-60">
+              {(index % comments.length) + 1}/{comments.length}
+            </span>
+          )}
+        </div>
+      </div>
+    );
+  } catch (error) {
+    console.error('PinnedBanner component error:', error);
+    return null;
+  }
+}
@@ -0,0 +1,405 @@
+/**
+ * Product Viewer Component
+ * Renders the 3D model described by the product manifest (see lib/productManifest.js)
+ * with model-viewer, including camera defaults, the selected color finish,
+ * spec hotspots and markers for comments anchored to a point on the model.
+ *
+ * Pin mode: the next tap on the model picks a surface point (position and
+ * normal) for the comment being written, reported through `onAnchorPick`.
+ *
+ * Loading shows model-viewer's progress. A failed or stalled load is retried
+ * with backoff by remounting the element, then falls back to the manifest
+ * poster with a "Try again" button.
+ */
+
+const MODEL_RETRY_DELAYS = [1000, 3000, 8000];
+const MODEL_STALL_TIMEOUT = 20000; // no progress for this long counts as a failure
+
+// model-viewer base color factors are linear, manifest colors are sRGB hex
+function hexToLinearRgba(hex) {
+  const channels = [1, 3, 5].map(offset => parseInt(hex.slice(offset, offset + 2), 16) / 255);
+  return [
+    ...channels.map(c => (c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4))),
+    1
+  ];
+}
+
+// Base colors the GLB shipped with, per loaded model, so a finish can be undone
+const originalModelColors = new WeakMap();
+
+function restoreModelColors(viewer) {
+  const model = viewer.model;
+  if (!originalModelColors.has(model)) {
+    originalModelColors.set(model, new Map(model.materials.map(material =>
+      [material, [...material.pbrMetallicRoughness.baseColorFactor]]
+    )));
+  }
+  originalModelColors.get(model).forEach((color, material) => {
+    material.pbrMetallicRoughness.setBaseColorFactor(color);
+  });
+}
+
+// Body materials picked when the manifest names none: opaque, not glowing, and not
+// named like glass, screens, lenses or other parts that keep their own color
+function findBodyMaterials(model, excludePattern) {
+  const exclude = excludePattern ? new RegExp(excludePattern, 'i') : null;
+  const bodyMaterials = model.materials.filter(material =>
+    !(exclude && exclude.test(material.name || ''))
+    && (material.getAlphaMode ? material.getAlphaMode() !== 'BLEND' : true)
+    && !(material.emissiveFactor || []).some(channel => channel > 0)
+  );
+  console.log('[ProductViewer] Finish recolors materials:', bodyMaterials.map(material => material.name));
+  return bodyMaterials;
+}
+
+// Switch to the GLB's own material variant when it has one, otherwise recolor the
+// body materials: the ones named in the manifest, or found by findBodyMaterials.
+// Every call starts from the original materials; a finish with `recolor: false`
+// leaves them as they are
+function applyModelFinish(viewer, finish, materialNames, excludePattern) {
+  const variants = viewer.availableVariants || [];
+  restoreModelColors(viewer);
+
+  if (finish.materialVariant && variants.includes(finish.materialVariant)) {
+    viewer.variantName = finish.materialVariant;
+    return;
+  }
+  if (variants.length > 0) viewer.variantName = null;
+
+  if (finish.recolor === false) return;
+
+  const color = hexToLinearRgba(finish.color);
+  const bodyMaterials = materialNames.length > 0
+    ? viewer.model.materials.filter(material => materialNames.includes(material.name))
+    : findBodyMaterials(viewer.model, excludePattern);
+  bodyMaterials.forEach(material => material.pbrMetallicRoughness.setBaseColorFactor(color));
+}
+
+// Orbit the camera so it faces a surface point along its normal
+function turnCameraTo(viewer, position, normal) {
+  const [x, y, z] = (normal || '0m 0m 1m').split(/\s+/).map(value => parseFloat(value));
+  const length = Math.hypot(x, y, z) || 1;
+  const theta = Math.atan2(x, z) * 180 / Math.PI;
+  const phi = Math.acos(Math.max(-1, Math.min(1, y / length))) * 180 / Math.PI;
+
+  viewer.autoRotate = false;
+  viewer.cameraTarget = position;
+  viewer.cameraOrbit = `${theta}deg ${phi}deg auto`;
+}
+
+function ProductViewer({
+  manifest,
+  error,
+  finish,
+  anchoredComments = [],
+  focusComment,
+  pinning = false,
+  pendingAnchor,
+  onAnchorPick,
+  onPinningChange,
+  onOpenThread
+}) {
+  const viewerRef = React.useRef(null);
+  const retriesRef = React.useRef(0);
+  const retryTimerRef = React.useRef(null);
+  const [loadStatus, setLoadStatus] = React.useState('loading'); // loading | retrying | loaded | failed
+  const [loadProgress, setLoadProgress] = React.useState(0);
+  const [attempt, setAttempt] = React.useState(0);
+  const [callout, setCallout] = React.useState(null);
+  const modelLoading = loadStatus !== 'loaded';
+
+  // Attach model-viewer events once per element (a ref callback would re-add them every render)
+  React.useEffect(() => {
+    const viewer = viewerRef.current;
+    if (!viewer) return;
+
+    let settled = false;
+    let stallTimer = null;
+
+    const handleModelFailure = (reason) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(stallTimer);
+
+      const delay = MODEL_RETRY_DELAYS[retriesRef.current];
+      if (delay === undefined) {
+        console.log('[ProductViewer] Giving up on model after', retriesRef.current, 'retries:', reason);
+        setLoadStatus('failed');
+        return;
+      }
+      console.log('[ProductViewer] Model load failed, retrying in', delay, 'ms:', reason);
+      setLoadStatus('retrying');
+      retryTimerRef.current = setTimeout(() => {
+        retriesRef.current += 1;
+        setLoadProgress(0);
+        setLoadStatus('loading');
+        setAttempt(prev => prev + 1);
+      }, delay);
+    };
+
+    const armStallTimer = () => {
+      clearTimeout(stallTimer);
+      stallTimer = setTimeout(() => handleModelFailure('stalled'), MODEL_STALL_TIMEOUT);
+    };
+
+    const handleModelProgress = (event) => {
+      setLoadProgress(event.detail.totalProgress);
+      armStallTimer();
+    };
+
+    const handleModelLoad = () => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(stallTimer);
+      console.log('Model loaded successfully');
+      retriesRef.current = 0;
+      setLoadProgress(1);
+      setLoadStatus('loaded');
+    };
+
+    const handleModelError = (event) => {
+      console.log('Model loading error:', event);
+      handleModelFailure(event.detail?.type || 'error');
+    };
+
+    armStallTimer();
+    viewer.addEventListener('progress', handleModelProgress);
+    viewer.addEventListener('load', handleModelLoad);
+    viewer.addEventListener('error', handleModelError);
+    return () => {
+      clearTimeout(stallTimer);
+      clearTimeout(retryTimerRef.current);
+      viewer.removeEventListener('progress', handleModelProgress);
+      viewer.removeEventListener('load', handleModelLoad);
+      viewer.removeEventListener('error', handleModelError);
+    };
+  }, [manifest?.model.src, attempt]);
+
+  // Manual retry after the automatic ones gave up
+  const handleTryAgain = () => {
+    retriesRef.current = 0;
+    setLoadProgress(0);
+    setLoadStatus('loading');
+    setAttempt(prev => prev + 1);
+  };
+
+  // Re-skin the loaded model whenever the finish changes
+  React.useEffect(() => {
+    const viewer = viewerRef.current;
+    if (!viewer || modelLoading || !finish || !viewer.model) return;
+    try {
+      applyModelFinish(viewer, finish, manifest.model.finishMaterials, manifest.model.finishExclude);
+    } catch (finishError) {
+      console.error('[ProductViewer] Could not apply finish:', finish.id, finishError);
+    }
+  }, [finish, modelLoading]);
+
+  // "Show on model" from a danmaku: bring the viewer into view and face the anchor
+  React.useEffect(() => {
+    const viewer = viewerRef.current;
+    if (!viewer || !focusComment?.anchor) return;
+    viewer.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    turnCameraTo(viewer, focusComment.anchor.position, focusComment.anchor.normal);
+    setCallout({ type: 'comment', comment: focusComment });
+  }, [focusComment]);
+
+  const handleViewerClick = (e) => {
+    const viewer = viewerRef.current;
+    if (!pinning || !viewer || modelLoading) return;
+
+    const hit = viewer.positionAndNormalFromPoint(e.clientX, e.clientY);
+    if (!hit) {
+      console.log('[ProductViewer] Pin missed the model');
+      return;
+    }
+    if (onAnchorPick) {
+      onAnchorPick({ position: hit.position.toString(), normal: hit.normal.toString() });
+    }
+  };
+
+  const openHotspot = (e, hotspot) => {
+    e.stopPropagation();
+    turnCameraTo(viewerRef.current, hotspot.position, hotspot.normal);
+    setCallout({ type: 'hotspot', hotspot });
+  };
+
+  const openComment = (e, comment) => {
+    e.stopPropagation();
+    turnCameraTo(viewerRef.current, comment.anchor.position, comment.anchor.normal);
+    setCallout({ type: 'comment', comment });
+  };
+
+  // The focused comment keeps its marker even when it is not among the latest ones
+  const markers = focusComment?.anchor && !anchoredComments.some(comment => comment.id === focusComment.id)
+    ? [...anchoredComments, focusComment]
+    : anchoredComments;
+
+  const camera = manifest?.camera;
+
+  try {
+    return (
+      <div className="w-80 h-80 md:w-96 md:h-96 mx-auto mb-6 relative glass-effect" data-danmaku-exclude data-name="product-viewer" data-file="components/ProductViewer.js">
+        {error ? (
+          <div className="absolute inset-0 flex flex-col items-center justify-center gap-2 p-6 text-white text-sm">
+            <div className="icon-triangle-alert text-2xl text-yellow-300"></div>
+            <div className="font-medium">Couldn't show the 3D model</div>
+            <pre className="whitespace-pre-wrap text-left text-xs text-white text-opacity-70">{error.message}</pre>
+          </div>
+        ) : (
+          <>
+            {(!manifest || loadStatus === 'loading' || loadStatus === 'retrying') && (
+              <div className="absolute inset-0 flex flex-col items-center justify-center gap-3 z-10 pointer-events-none">
+                <div className="text-white text-lg font-medium">
+                  {loadStatus === 'retrying' ? 'Retrying...' : `Loading... ${Math.round(loadProgress * 100)}%`}
+                </div>
+                <div className="w-40 h-1 rounded-full bg-white bg-opacity-20 overflow-hidden">
+                  <div className="h-full bg-white transition-all duration-300" style={{ width: `${loadProgress * 100}%` }}></div>
+                </div>
+              </div>
+            )}
+            {manifest && loadStatus === 'failed' && (
+              <div className="absolute inset-0 flex flex-col items-center justify-end gap-3 p-6 z-10 text-white text-sm">
+                {manifest.model.poster && (
+                  <img src={manifest.model.poster} alt={manifest.model.alt} className="absolute inset-0 w-full h-full object-contain rounded-2xl" />
+                )}
+                <div className="relative flex flex-col items-center gap-3 px-4 py-3 rounded-2xl bg-black bg-opacity-40">
+                  <div className="font-medium">Couldn't load the 3D model</div>
+                  <button
+                    type="button"
+                    onClick={handleTryAgain}
+                    className="flex items-center gap-2 px-4 py-2 rounded-full bg-white bg-opacity-20 hover:bg-opacity-30 transition-all duration-300"
+                  >
+                    <div className="icon-rotate-cw text-sm"></div>
+                    Try again
+                  </button>
+                </div>
+              </div>
+            )}
+            {manifest && loadStatus !== 'failed' && (
+              <model-viewer
+                key={attempt}
+                ref={viewerRef}
+                src={manifest.model.src}
+                alt={manifest.model.alt}
+                poster={manifest.model.poster || undefined}
+                camera-orbit={camera.orbit}
+                camera-target={camera.target}
+                field-of-view={camera.fieldOfView}
+                {...(camera.autoRotate ? { 'auto-rotate': '' } : {})}
+                {...(camera.controls ? { 'camera-controls': '' } : {})}
+                style={{width: '100%', height: '100%', cursor: pinning ? 'crosshair' : undefined}}
+                loading="eager"
+                onClick={handleViewerClick}
+              >
+                {manifest.hotspots.map(hotspot => (
+                  <button
+                    key={hotspot.id}
+                    type="button"
+                    slot={`hotspot-${hotspot.id}`}
+                    data-position={hotspot.position}
+                    data-normal={hotspot.normal || undefined}
+                    onClick={(e) => openHotspot(e, hotspot)}
+                    className="w-4 h-4 rounded-full bg-white border-2 border-black border-opacity-30"
+                    title={hotspot.label}
+                    aria-label={hotspot.label}
+                  ></button>
+                ))}
+                {markers.map(comment => (
+                  <button
+                    key={comment.id}
+                    type="button"
+                    slot={`hotspot-comment-${comment.id}`}
+                    data-position={comment.anchor.position}
+                    data-normal={comment.anchor.normal || undefined}
+                    onClick={(e) => openComment(e, comment)}
+                    className="w-6 h-6 rounded-full glass-effect bg-black bg-opacity-40 text-white flex items-center justify-center"
+                    title={comment.text}
+                    aria-label={`Comment: ${comment.text}`}
+                  >
+                    <div className="icon-message-circle text-xs"></div>
+                  </button>
+                ))}
+                {pendingAnchor && (
+                  <div
+                    slot="hotspot-pending-anchor"
+                    data-position={pendingAnchor.position}
+                    data-normal={pendingAnchor.normal || undefined}
+                    className="w-4 h-4 rounded-full bg-yellow-300 border-2 border-white animate-pulse"
+                  ></div>
+                )}
+              </model-viewer>
+            )}
+
+            {/* Pin the comment being written to a point on the model */}
+            {manifest && !modelLoading && onPinningChange && (
+              <button
+                type="button"
+                onClick={() => onPinningChange(!pinning)}
+                className={`absolute top-2 right-2 w-8 h-8 rounded-full glass-effect text-white flex items-center justify-center transition-all duration-300 ${pinning ? 'bg-yellow-300 bg-opacity-40' : 'hover:bg-white hover:bg-opacity-20'}`}
+                title={pinning ? 'Cancel pinning' : 'Pin your comment to the model'}
+                aria-pressed={pinning}
+              >
+                <div className="icon-map-pin text-sm"></div>
+              </button>
+            )}
+            {pinning && (
+              <div className="absolute top-2 left-2 right-12 px-3 py-1 rounded-full glass-effect bg-black bg-opacity-40 text-white text-xs text-left">
+                Tap the model where your comment belongs
+              </div>
+            )}
+
+            {callout && (
+              <div className="absolute left-2 right-2 bottom-2 p-3 glass-effect bg-black bg-opacity-60 text-white text-sm text-left z-20" role="dialog">
+                <button
+                  type="button"
+                  onClick={() => setCallout(null)}
+                  className="absolute top-2 right-2 text-white text-opacity-70 hover:text-opacity-100"
+                  aria-label="Close"
+                >
+                  <div className="icon-x text-sm"></div>
+                </button>
+                {callout.type === 'hotspot' ? (
+                  <>
+                    <div className="font-medium pr-6">{callout.hotspot.label}</div>
+                    {callout.hotspot.description && (
+                      <p className="mt-1 text-white text-opacity-80">{callout.hotspot.description}</p>
+                    )}
+                  </>
+                ) : (
+                  <>
+                    <div className="flex items-center gap-2 pr-6 text-xs text-white text-opacity-60">
+                      <div className="icon-map-pin text-xs"></div>
+                      Pinned comment
+                    </div>
+                    <p className="mt-1 break-words">{callout.comment.text}</p>
+                    <div className="mt-1 flex items-center gap-3 text-xs text-white text-opacity-70">
+                      {callout.comment.likesCount > 0 && (
+                        <span className="flex items-center gap-1">
+                          <div className="icon-heart text-xs"></div>
+                          {callout.comment.likesCount}
+                        </span>
+                      )}
+                      {onOpenThread && callout.comment.id && (
+                        <button
+                          type="button"
+                          onClick={() => onOpenThread(callout.comment.id)}
+                          className="flex items-center gap-1 hover:text-white"
+                        >
+                          <div className="icon-message-circle text-xs"></div>
+                          View thread
+                        </button>
+                      )}
+                    </div>
+                  </>
+                )}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    );
+  } catch (renderError) {
+    console.error('ProductViewer component error:', renderError);
+    return null;
+  }
+}
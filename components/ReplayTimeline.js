@@ -0,0 +1,143 @@
+/**
+ * Replay Timeline Component
+ * Bottom bar for replaying the comment stream: a density histogram of when
+ * comments were posted that doubles as a scrubber, play / pause, speed and
+ * "jump to spike". Comments are handed to `onEmit` at their replayed time.
+ */
+function ReplayTimeline({ comments = [], onEmit, onSeek, onClose }) {
+  const [state, setState] = React.useState({ position: null, playing: false, speed: 1 });
+  const replayRef = React.useRef(null);
+  const onEmitRef = React.useRef(onEmit);
+  onEmitRef.current = onEmit;
+
+  const timeline = React.useMemo(() => buildReplayTimeline(comments), [comments]);
+
+  if (!replayRef.current) {
+    replayRef.current = createTimelineReplay({
+      onEmit: (comment) => onEmitRef.current(comment),
+      onChange: setState
+    });
+  }
+
+  React.useEffect(() => {
+    replayRef.current.setComments(comments, timeline);
+  }, [comments]);
+
+  React.useEffect(() => {
+    return () => replayRef.current.stop();
+  }, []);
+
+  const seek = (time) => {
+    replayRef.current.seek(time);
+    if (onSeek) onSeek();
+  };
+
+  const handleJumpToSpike = () => {
+    const spike = findNextSpike(timeline, state.position);
+    if (spike !== null) seek(spike);
+  };
+
+  // Elapsed time into the replay as h:mm:ss or m:ss
+  const formatOffset = (ms) => {
+    const totalSeconds = Math.floor(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = (totalSeconds % 60).toString().padStart(2, '0');
+    return hours > 0 ? `${hours}:${minutes.toString().padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+  };
+
+  const progress = timeline && state.position !== null
+    ? (state.position - timeline.start) / (timeline.end - timeline.start)
+    : 0;
+
+  try {
+    return (
+      <div
+        className="fixed left-0 right-0 bottom-0 z-[60] p-4 flex flex-col gap-2 bg-black bg-opacity-80 backdrop-blur-md text-white text-sm"
+        data-name="replay-timeline"
+        data-file="components/ReplayTimeline.js"
+        data-danmaku-exclude
+      >
+        <div className="flex flex-wrap items-center gap-2">
+          <button
+            type="button"
+            onClick={() => (state.playing ? replayRef.current.pause() : replayRef.current.play())}
+            disabled={!timeline}
+            className="w-10 h-10 rounded-full glass-effect flex items-center justify-center hover:bg-white hover:bg-opacity-20 disabled:opacity-50"
+            title={state.playing ? 'Pause' : 'Play'}
+          >
+            <div className={`icon-${state.playing ? 'pause' : 'play'} text-sm`}></div>
+          </button>
+
+          <div className="flex gap-1" role="group" aria-label="Replay speed">
+            {REPLAY_SPEEDS.map(speed => (
+              <button
+                key={speed}
+                type="button"
+                onClick={() => replayRef.current.setSpeed(speed)}
+                className={`px-3 py-1 rounded-full ${state.speed === speed ? 'bg-white bg-opacity-30' : 'glass-effect hover:bg-white hover:bg-opacity-20'}`}
+                aria-pressed={state.speed === speed}
+              >
+                {speed}×
+              </button>
+            ))}
+          </div>
+
+          <button
+            type="button"
+            onClick={handleJumpToSpike}
+            disabled={!timeline}
+            className="flex items-center gap-2 px-3 py-1 rounded-full glass-effect hover:bg-white hover:bg-opacity-20 disabled:opacity-50"
+          >
+            <div className="icon-zap text-sm"></div>
+            Jump to spike
+          </button>
+
+          {timeline && state.position !== null && (
+            <span className="text-white text-opacity-80">
+              {formatOffset(state.position - timeline.start)} / {formatOffset(timeline.end - timeline.start)}
+              <span className="hidden md:inline ml-2 text-white text-opacity-60">
+                {new Date(state.position).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', second: '2-digit' })}
+              </span>
+            </span>
+          )}
+
+          <button type="button" onClick={onClose} className="ml-auto w-8 h-8 rounded-full glass-effect flex items-center justify-center" title="Back to live">
+            <div className="icon-x text-sm"></div>
+          </button>
+        </div>
+
+        {timeline ? (
+          <div className="relative h-12">
+            {/* Comment density histogram */}
+            <div className="absolute inset-0 flex items-end gap-px">
+              {timeline.buckets.map((count, index) => (
+                <div
+                  key={index}
+                  className={`flex-1 rounded-t-sm ${index / timeline.buckets.length < progress ? 'bg-white bg-opacity-70' : 'bg-white bg-opacity-30'}`}
+                  style={{ height: `${count > 0 ? Math.max(8, (count / timeline.peak) * 100) : 0}%` }}
+                ></div>
+              ))}
+            </div>
+            <div className="absolute top-0 bottom-0 w-0.5 bg-white pointer-events-none" style={{ left: `${progress * 100}%` }}></div>
+            <input
+              type="range"
+              min={timeline.start}
+              max={timeline.end}
+              step={1000}
+              value={state.position ?? timeline.start}
+              onChange={(e) => seek(Number(e.target.value))}
+              className="absolute inset-0 w-full h-full opacity-0 cursor-pointer"
+              aria-label="Replay position"
+            />
+          </div>
+        ) : (
+          <p className="text-white text-opacity-60">No comments to replay yet.</p>
+        )}
+      </div>
+    );
+  } catch (error) {
+    console.error('ReplayTimeline component error:', error);
+    return null;
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * Thread Panel Component
+ * Side panel with a comment and its replies (comments stored with `parent_id`),
+ * plus a form for posting a reply that can optionally fly as danmaku too
+ */
+function ThreadPanel({ comment, replies = [], onReply, onClose }) {
+  const [replyText, setReplyText] = React.useState('');
+  const [asDanmaku, setAsDanmaku] = React.useState(true);
+  const [sending, setSending] = React.useState(false);
+  const [error, setError] = React.useState('');
+  const listEndRef = React.useRef(null);
+
+  // Keep the newest reply in view
+  React.useEffect(() => {
+    if (listEndRef.current) listEndRef.current.scrollIntoView({ block: 'end' });
+  }, [replies.length]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!replyText.trim() || sending) return;
+
+    setSending(true);
+    setError('');
+    const message = await onReply(replyText, asDanmaku);
+    setSending(false);
+    if (message) {
+      setError(message);
+    } else {
+      setReplyText('');
+    }
+  };
+
+  const formatTime = (createdAt) => new Date(createdAt).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+
+  try {
+    return (
+      <div
+        className="fixed top-0 right-0 bottom-0 z-[60] w-full max-w-md p-4 flex flex-col gap-3 bg-black bg-opacity-80 backdrop-blur-md text-white text-sm"
+        data-name="thread-panel"
+        data-file="components/ThreadPanel.js"
+      >
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-bold flex items-center gap-2">
+            <div className="icon-messages-square text-base"></div>
+            Thread
+          </h2>
+          <button type="button" onClick={onClose} className="w-8 h-8 rounded-full glass-effect flex items-center justify-center" title="Close">
+            <div className="icon-x text-sm"></div>
+          </button>
+        </div>
+
+        <div className="p-3 rounded-xl bg-white bg-opacity-20">
+          <p className="break-words text-base" style={{ color: getDanmakuColor(comment.style?.color) }}>{comment.text}</p>
+          <div className="mt-1 flex items-center gap-3 text-xs text-white text-opacity-60">
+            <span>{formatTime(comment.createdAt)}</span>
+            {comment.likesCount > 0 && (
+              <span className="flex items-center gap-1">
+                <div className="icon-heart text-xs"></div>
+                {comment.likesCount}
+              </span>
+            )}
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto flex flex-col gap-2 pl-4 border-l border-white border-opacity-20">
+          {replies.length === 0 ? (
+            <p className="text-white text-opacity-60">No replies yet. Start the conversation.</p>
+          ) : replies.map(reply => (
+            <div key={reply.id} className="p-3 rounded-xl bg-white bg-opacity-10">
+              <p className="break-words">{reply.text}</p>
+              <div className="mt-1 flex items-center gap-3 text-xs text-white text-opacity-60">
+                <span>{formatTime(reply.createdAt)}</span>
+                {reply.likesCount > 0 && (
+                  <span className="flex items-center gap-1">
+                    <div className="icon-heart text-xs"></div>
+                    {reply.likesCount}
+                  </span>
+                )}
+              </div>
+            </div>
+          ))}
+          <div ref={listEndRef}></div>
+        </div>
+
+        <form onSubmit={handleSubmit} className="flex flex-col gap-2">
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={replyText}
+              onChange={(e) => {
+                setReplyText(e.target.value);
+                setError('');
+              }}
+              placeholder="Write a reply..."
+              className="flex-1 px-4 py-2 rounded-full glass-effect text-white placeholder-white placeholder-opacity-70 border-0 outline-0"
+              disabled={sending}
+              aria-invalid={Boolean(error)}
+            />
+            <button
+              type="submit"
+              disabled={sending || !replyText.trim()}
+              className="px-4 py-2 rounded-full bg-white bg-opacity-20 hover:bg-opacity-30 disabled:opacity-50"
+            >
+              {sending ? 'Sending...' : 'Reply'}
+            </button>
+          </div>
+          <label className="flex items-center gap-2 text-xs text-white text-opacity-80">
+            <input type="checkbox" checked={asDanmaku} onChange={(e) => setAsDanmaku(e.target.checked)} />
+            Also fly as danmaku
+          </label>
+          {error && <p role="alert" className="text-red-300">{error}</p>}
+        </form>
+      </div>
+    );
+  } catch (renderError) {
+    console.error('ThreadPanel component error:', renderError);
+    return null;
+  }
+}
@@ -0,0 +1,218 @@
+/**
+ * Comment Guard
+ * Validation pipeline for danmaku text, run before a comment is stored and again
+ * before any comment is displayed:
+ * - length limits
+ * - per-user cooldown and burst limit (submission only, persisted in localStorage)
+ * - duplicate flood detection (display counts a comment once it is actually rendered)
+ * - blocklist matched word by word against a normalized form of the text, so
+ *   accents, leetspeak, stretched letters and spelled-out letters ("f.u.c.k")
+ *   don't slip through, while words that merely contain a blocked word
+ *   ("Scunthorpe") or run into one across a space ("glass hole") pass
+ *
+ * Defaults can be overridden with `window.DANMAKU_GUARD_CONFIG`.
+ */
+
+const DEFAULT_GUARD_CONFIG = {
+  maxLength: 100,
+  cooldownMs: 3000,
+  burstLimit: 5,
+  burstWindowMs: 60000,
+  duplicateWindowMs: 10 * 60 * 1000,
+  displayDuplicateLimit: 3,
+  displayDuplicateWindowMs: 60000,
+  blocklist: ['fuck', 'shit', 'bitch', 'cunt', 'asshole', 'nigger', 'faggot', 'retard'],
+  blockLinks: true
+};
+
+const LEET_MAP = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's', '!': 'i', '|': 'i' };
+
+// Lowercase, strip accents and map common character substitutions
+function normalizeCommentText(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[0134579@$!|]/g, char => LEET_MAP[char] || char)
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+const collapseRepeatedLetters = (word) => word.replace(/(.)\1+/g, '$1');
+
+// Endings a blocked word may carry and still count as that word ("shitty", "bitches")
+const BLOCKED_WORD_SUFFIX = /^(s|es|ed|er|ers|ing|in|y|ty)?$/;
+
+/**
+ * Words of a comment as the blocklist sees them, repeated letters collapsed.
+ * Words are split on anything that isn't a letter; only runs of three or more
+ * single letters ("F.u_u-u c k", "s h i t") are joined back into one word.
+ * Text is read with and without leetspeak mapping so "sh!t" and "shit!" both count.
+ */
+function getBlocklistWords(text) {
+  const plain = text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  const words = new Set();
+
+  [normalizeCommentText(text), plain].forEach(variant => {
+    let run = [];
+    const flushRun = () => {
+      if (run.length >= 3) words.add(run.join(''));
+      run = [];
+    };
+    variant.split(/[^\p{L}]+/u).filter(Boolean).forEach(token => {
+      if (token.length === 1) {
+        run.push(token);
+        return;
+      }
+      flushRun();
+      words.add(token);
+    });
+    flushRun();
+  });
+
+  return [...words].map(collapseRepeatedLetters);
+}
+
+function isBlockedWord(word, blocked) {
+  return word.startsWith(blocked) && BLOCKED_WORD_SUFFIX.test(word.slice(blocked.length));
+}
+
+/**
+ * Create a guard
+ * @param {Object} [options] - Overrides for DEFAULT_GUARD_CONFIG
+ */
+function createCommentGuard(options = {}) {
+  const config = { ...DEFAULT_GUARD_CONFIG, ...options };
+  const blockedWords = config.blocklist
+    .map(word => collapseRepeatedLetters(normalizeCommentText(word).replace(/[^\p{L}]/gu, '')))
+    .filter(Boolean);
+  const displayHistory = new Map(); // normalized text -> [timestamps]
+
+  const historyKey = (userId) => `iphone17_comment_history_${userId}`;
+
+  const readHistory = (userId) => {
+    try {
+      return JSON.parse(localStorage.getItem(historyKey(userId)) || '[]');
+    } catch (error) {
+      return [];
+    }
+  };
+
+  const reject = (reason, message) => ({ ok: false, reason, message });
+
+  // Checks shared by submission and display
+  const checkContent = (text) => {
+    if (!text || typeof text !== 'string' || text.trim() === '') {
+      return reject('empty', 'Comment cannot be empty.');
+    }
+
+    const trimmed = text.trim();
+    if (trimmed.length > config.maxLength) {
+      return reject('too_long', `Comments can be at most ${config.maxLength} characters (yours is ${trimmed.length}).`);
+    }
+
+    if (config.blockLinks && /(https?:\/\/|www\.|\b[a-z0-9-]+\.(com|net|org|io|ru|xyz|top)\b)/i.test(trimmed)) {
+      return reject('link', 'Links are not allowed in comments.');
+    }
+
+    const words = getBlocklistWords(trimmed);
+    if (words.some(word => blockedWords.some(blocked => isBlockedWord(word, blocked)))) {
+      return reject('blocked', 'Your comment contains words that are not allowed.');
+    }
+
+    return { ok: true, text: trimmed };
+  };
+
+  /**
+   * Validate a comment before it is stored
+   * @returns {{ ok: true, text: string } | { ok: false, reason: string, message: string }}
+   */
+  const validateSubmission = (text, userId) => {
+    const content = checkContent(text);
+    if (!content.ok) return content;
+
+    const now = Date.now();
+    const history = readHistory(userId);
+    const last = history[history.length - 1];
+
+    if (last && now - last.time < config.cooldownMs) {
+      const wait = Math.ceil((config.cooldownMs - (now - last.time)) / 1000);
+      return reject('cooldown', `You're commenting too fast. Try again in ${wait}s.`);
+    }
+
+    const recent = history.filter(entry => now - entry.time < config.burstWindowMs);
+    if (recent.length >= config.burstLimit) {
+      return reject('burst', 'You have posted a lot of comments. Take a short break and try again.');
+    }
+
+    const normalized = normalizeCommentText(content.text);
+    const isDuplicate = history.some(entry => entry.text === normalized && now - entry.time < config.duplicateWindowMs);
+    if (isDuplicate) {
+      return reject('duplicate', 'You already posted this comment.');
+    }
+
+    return content;
+  };
+
+  // Remember an accepted submission for rate and duplicate checks
+  const recordSubmission = (text, userId) => {
+    const now = Date.now();
+    const keepFor = Math.max(config.burstWindowMs, config.duplicateWindowMs);
+    const history = readHistory(userId)
+      .filter(entry => now - entry.time < keepFor)
+      .concat({ time: now, text: normalizeCommentText(text) });
+    localStorage.setItem(historyKey(userId), JSON.stringify(history.slice(-50)));
+  };
+
+  const getRecentDisplays = (text, now) => {
+    const normalized = normalizeCommentText(text);
+    const shownAt = (displayHistory.get(normalized) || [])
+      .filter(time => now - time < config.displayDuplicateWindowMs);
+    displayHistory.set(normalized, shownAt);
+    return shownAt;
+  };
+
+  /**
+   * Validate a comment right before it is displayed
+   * Rejects blocked content and the same text flooding the screen. Nothing is
+   * recorded here: call recordDisplay once the comment is actually rendered.
+   */
+  const validateForDisplay = (text) => {
+    const content = checkContent(text);
+    if (!content.ok) return content;
+
+    if (getRecentDisplays(content.text, Date.now()).length >= config.displayDuplicateLimit) {
+      return reject('flood', 'Same comment shown too often.');
+    }
+    return content;
+  };
+
+  // Count a rendered comment towards the display flood limit
+  const recordDisplay = (text) => {
+    const now = Date.now();
+    getRecentDisplays(text, now).push(now);
+  };
+
+  return {
+    config,
+    validateSubmission,
+    recordSubmission,
+    validateForDisplay,
+    recordDisplay
+  };
+}
+
+let commentGuardInstance = null;
+
+// Shared guard configured from window.DANMAKU_GUARD_CONFIG
+function getCommentGuard() {
+  if (!commentGuardInstance) {
+    commentGuardInstance = createCommentGuard(window.DANMAKU_GUARD_CONFIG || {});
+  }
+  return commentGuardInstance;
+}
+
+// Make it globally available
+window.normalizeCommentText = normalizeCommentText;
+window.createCommentGuard = createCommentGuard;
+window.getCommentGuard = getCommentGuard;
@@ -0,0 +1,138 @@
+/**
+ * Comment Loader
+ * Loads comment history page by page instead of all at once:
+ * - a first page of the most recent comments plus the top-scored ones, so playback
+ *   can start quickly. Storage that sorts by reaction score or likes returns those
+ *   directly; otherwise the first request reads a wider window of recent comments
+ *   (`rankWindow`) and the best-scored of them join the first page
+ * - older pages streamed in the background, following the storage cursor,
+ *   until the history is exhausted or the configured cap is reached
+ */
+
+/**
+ * Create a paged loader
+ *
+ * @param {Object} options
+ * @param {Object} options.storage - Storage adapter (see lib/storage.js)
+ * @param {string} [options.type] - Object type to load
+ * @param {number} [options.pageSize] - Comments per page
+ * @param {number} [options.topLikedCount] - Top-scored / top-liked comments fetched with the first page
+ * @param {number} [options.rankWindow] - Recent comments ranked locally when storage can't sort by score
+ * @param {number} [options.maxComments] - Stop streaming history after this many comments
+ * @param {number} [options.pageDelay] - Pause in ms between background pages
+ * @param {Function} [options.onComments] - Called with each batch of newly loaded comments
+ * @param {Function} [options.onProgress] - Called with { loaded, total, done, capped }
+ */
+function createCommentLoader({
+  storage,
+  type = 'danmaku_comment',
+  pageSize = 100,
+  topLikedCount = 50,
+  rankWindow = 500,
+  maxComments = 5000,
+  pageDelay = 300,
+  onComments,
+  onProgress
+}) {
+  const loadedIds = new Set();
+  let progress = { loaded: 0, total: null, done: false, capped: false };
+  let cancelled = false;
+
+  const reportProgress = (changes) => {
+    progress = { ...progress, ...changes, loaded: loadedIds.size };
+    if (onProgress) onProgress(progress);
+  };
+
+  // Keep only comments not delivered yet
+  const collect = (items) => {
+    const fresh = [];
+    items.forEach(item => {
+      if (loadedIds.has(item.objectId) || loadedIds.size >= maxComments) return;
+      loadedIds.add(item.objectId);
+      fresh.push(toDanmakuComment(item));
+    });
+    return fresh;
+  };
+
+  // Stored reaction score, or likes for comments from before reactions existed
+  const getStoredScore = (item) => item.objectData.reaction_score ?? (item.objectData.likes_count || 0);
+
+  // `held` are comments already fetched with the first request but not delivered yet
+  const streamOlderPages = async (cursor, held = []) => {
+    if (held.length > 0) {
+      await new Promise(resolve => setTimeout(resolve, pageDelay));
+      if (cancelled) return;
+      const fresh = collect(held);
+      console.log('[CommentLoader] Delivered ranked window:', fresh.length, 'total loaded:', loadedIds.size);
+      if (fresh.length > 0 && onComments) onComments(fresh);
+      reportProgress({});
+    }
+
+    while (cursor && !cancelled) {
+      if (loadedIds.size >= maxComments) {
+        console.log('[CommentLoader] Reached history cap:', maxComments);
+        break;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, pageDelay));
+      if (cancelled) return;
+
+      try {
+        const page = await storage.list(type, { limit: pageSize, cursor, descending: true });
+        const fresh = collect(page.items);
+        cursor = page.nextCursor;
+
+        console.log('[CommentLoader] Loaded older page:', fresh.length, 'total loaded:', loadedIds.size);
+        if (fresh.length > 0 && onComments) onComments(fresh);
+        reportProgress({ total: page.total ?? progress.total });
+      } catch (error) {
+        console.error('[CommentLoader] Error loading page, stopping history stream:', error);
+        break;
+      }
+    }
+
+    if (!cancelled) reportProgress({ done: true, capped: loadedIds.size >= maxComments });
+  };
+
+  /**
+   * Load the first page and start streaming older ones in the background
+   * @returns {Promise<Array>} Comments from the first page, newest first
+   */
+  const start = async () => {
+    const prioritySort = storage.capabilities?.sortByScore ? 'score' : storage.capabilities?.sortByLikes ? 'likes' : null;
+    const rankLocally = !prioritySort && topLikedCount > 0;
+    const recent = await storage.list(type, { limit: rankLocally ? Math.max(pageSize, rankWindow) : pageSize, descending: true });
+
+    const newest = recent.items.slice(0, pageSize);
+    const held = recent.items.slice(pageSize);
+    let topLiked = [];
+    if (prioritySort && topLikedCount > 0) {
+      topLiked = (await storage.list(type, { limit: topLikedCount, descending: true, sort: prioritySort })).items;
+    } else if (rankLocally) {
+      topLiked = [...held].sort((a, b) => getStoredScore(b) - getStoredScore(a)).slice(0, topLikedCount);
+    }
+
+    const firstPage = collect([...newest, ...topLiked]);
+    console.log('[CommentLoader] Loaded first page:', firstPage.length);
+    reportProgress({ total: recent.total ?? null, done: !recent.nextCursor && held.length === 0 });
+
+    if (recent.nextCursor || held.length > 0) {
+      streamOlderPages(recent.nextCursor, held);
+    }
+
+    return firstPage;
+  };
+
+  const cancel = () => {
+    cancelled = true;
+  };
+
+  return {
+    start,
+    cancel,
+    getProgress: () => progress
+  };
+}
+
+// Make it globally available
+window.createCommentLoader = createCommentLoader;
@@ -0,0 +1,240 @@
+/**
+ * Comment Sync
+ * Keeps the local comment list up to date by fetching only comments newer than
+ * the last one seen. Polls with backoff (slower while nothing new arrives, and
+ * after errors), listens to the storage push channel when the adapter has one,
+ * and pauses while the tab is hidden, catching up when it becomes visible.
+ *
+ * The push channel only reaches this page (or this browser for IndexedDB), so
+ * hides, pins and deletes made elsewhere are picked up by also polling the
+ * moderation log for entries newer than the last one seen.
+ */
+
+// Map a stored danmaku_comment object to the shape used by the UI
+function toDanmakuComment(item) {
+  return {
+    id: item.objectId,
+    userId: item.objectData.user_id || null,
+    text: item.objectData.text,
+    createdAt: item.createdAt,
+    likesCount: item.objectData.likes_count || 0,
+    reactionCounts: item.objectData.reaction_counts || {},
+    status: item.objectData.status || 'visible',
+    style: normalizeDanmakuStyle(item.objectData.style),
+    // Replies point at the comment they answer and only fly when posted with `as_danmaku`
+    parentId: item.objectData.parent_id || null,
+    asDanmaku: Boolean(item.objectData.as_danmaku),
+    // Surface point on the 3D model the comment is pinned to
+    anchor: item.objectData.anchor_position
+      ? { position: item.objectData.anchor_position, normal: item.objectData.anchor_normal || null }
+      : null
+  };
+}
+
+/**
+ * Create a sync loop for one object type
+ *
+ * @param {Object} options
+ * @param {Object} options.storage - Storage adapter (see lib/storage.js)
+ * @param {string} [options.type] - Object type to sync
+ * @param {Function} options.onComments - Called with newly found comments, oldest first
+ * @param {Function} [options.onCommentUpdated] - Called with a comment changed through the push channel,
+ *   or with `{ id, status }` for a moderation action found in the log
+ * @param {Function} [options.onCommentRemoved] - Called with the id of a deleted comment
+ * @param {string} [options.moderationType] - Moderation log type to poll, null to skip
+ * @param {number} [options.minInterval] - Poll interval in ms while comments keep arriving
+ * @param {number} [options.maxInterval] - Upper bound for the poll interval after backoff
+ * @param {number} [options.pageSize] - Objects requested per page while catching up
+ * @param {number} [options.maxCatchUp] - Stop catching up after this many new comments
+ */
+function createCommentSync({
+  storage,
+  type = 'danmaku_comment',
+  onComments,
+  onCommentUpdated,
+  onCommentRemoved,
+  moderationType = MODERATION_LOG_TYPE,
+  minInterval = 5000,
+  maxInterval = 60000,
+  pageSize = 50,
+  maxCatchUp = 500
+}) {
+  const knownIds = new Set();
+  let lastSeen = 0;
+  // Newest moderation log entry applied; null until the first poll sets the baseline
+  const knownLogIds = new Set();
+  let lastLogSeen = null;
+  let interval = minInterval;
+  let timer = null;
+  let running = false;
+  let syncing = false;
+  let unsubscribe = null;
+
+  const remember = (comments) => {
+    comments.forEach(comment => {
+      knownIds.add(comment.id);
+      const time = new Date(comment.createdAt).getTime();
+      if (time > lastSeen) lastSeen = time;
+    });
+  };
+
+  const deliver = (comments) => {
+    const fresh = comments.filter(comment => !knownIds.has(comment.id));
+    if (fresh.length === 0) return 0;
+    remember(fresh);
+    onComments(fresh);
+    return fresh.length;
+  };
+
+  // Walk pages newest-first until reaching comments we already have
+  const fetchNewer = async () => {
+    const fresh = [];
+    let cursor = null;
+    let reachedKnown = false;
+
+    do {
+      const page = await storage.list(type, { limit: pageSize, cursor, descending: true });
+      for (const item of page.items) {
+        if (new Date(item.createdAt).getTime() < lastSeen) {
+          reachedKnown = true;
+          break;
+        }
+        fresh.push(toDanmakuComment(item));
+      }
+      cursor = page.nextCursor;
+    } while (!reachedKnown && cursor && fresh.length < maxCatchUp);
+
+    return fresh.reverse();
+  };
+
+  // Moderation log entries newer than the last seen, oldest first. The first call
+  // only records where the log stands: the initial load already has those statuses
+  const fetchModeration = async () => {
+    if (lastLogSeen === null) {
+      const page = await storage.list(moderationType, { limit: 1, descending: true });
+      const newest = page.items[0];
+      lastLogSeen = newest ? new Date(newest.createdAt).getTime() : 0;
+      if (newest) knownLogIds.add(newest.objectId);
+      return [];
+    }
+
+    const entries = [];
+    let cursor = null;
+    let reachedKnown = false;
+
+    do {
+      const page = await storage.list(moderationType, { limit: pageSize, cursor, descending: true });
+      for (const item of page.items) {
+        if (new Date(item.createdAt).getTime() < lastLogSeen) {
+          reachedKnown = true;
+          break;
+        }
+        if (!knownLogIds.has(item.objectId)) entries.push(item);
+      }
+      cursor = page.nextCursor;
+    } while (!reachedKnown && cursor && entries.length < maxCatchUp);
+
+    entries.forEach(entry => {
+      knownLogIds.add(entry.objectId);
+      const time = new Date(entry.createdAt).getTime();
+      if (time > lastLogSeen) lastLogSeen = time;
+    });
+    return entries.reverse();
+  };
+
+  const applyModeration = (entries) => {
+    entries.forEach(entry => {
+      const { action, comment_id: commentId } = entry.objectData;
+      if (!commentId) return;
+      if (action === 'delete') {
+        if (onCommentRemoved) onCommentRemoved(commentId);
+        return;
+      }
+      const status = entry.objectData.status || MODERATION_ACTION_STATUS[action];
+      if (status && onCommentUpdated) onCommentUpdated({ id: commentId, status });
+    });
+    return entries.length;
+  };
+
+  const schedule = () => {
+    if (!running || document.hidden) return;
+    clearTimeout(timer);
+    timer = setTimeout(syncNow, interval);
+  };
+
+  const syncNow = async () => {
+    if (syncing) return;
+    syncing = true;
+    clearTimeout(timer);
+
+    try {
+      const delivered = deliver(await fetchNewer());
+      const moderated = moderationType ? applyModeration(await fetchModeration()) : 0;
+      console.log('[CommentSync] Sync complete, new comments:', delivered, 'moderation actions:', moderated);
+      interval = delivered + moderated > 0 ? minInterval : Math.min(interval * 1.5, maxInterval);
+    } catch (error) {
+      console.error('[CommentSync] Sync failed:', error);
+      interval = Math.min(interval * 2, maxInterval);
+    } finally {
+      syncing = false;
+      schedule();
+    }
+  };
+
+  const handleVisibilityChange = () => {
+    if (document.hidden) {
+      console.log('[CommentSync] Tab hidden, pausing sync');
+      clearTimeout(timer);
+    } else {
+      console.log('[CommentSync] Tab visible, catching up');
+      interval = minInterval;
+      syncNow();
+    }
+  };
+
+  const start = () => {
+    if (running) return;
+    running = true;
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    // Push channel: new objects from this or other tabs arrive without waiting for a poll
+    unsubscribe = storage.subscribe(type, ({ action, object }) => {
+      if (action === 'create' && object?.objectData) {
+        deliver([toDanmakuComment(object)]);
+      } else if (action === 'update' && object?.objectData && onCommentUpdated) {
+        onCommentUpdated(toDanmakuComment(object));
+      } else if (action === 'delete' && object?.objectId && onCommentRemoved) {
+        onCommentRemoved(object.objectId);
+      }
+    });
+
+    if (moderationType) {
+      fetchModeration().catch(error => {
+        console.error('[CommentSync] Reading moderation log failed:', error);
+      });
+    }
+    schedule();
+  };
+
+  const stop = () => {
+    running = false;
+    clearTimeout(timer);
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+    if (unsubscribe) {
+      unsubscribe();
+      unsubscribe = null;
+    }
+  };
+
+  return {
+    start,
+    stop,
+    syncNow,
+    // Mark comments as already known, e.g. the initial load or an optimistic entry
+    markSeen: remember
+  };
+}
+
+// Make it globally available
+window.toDanmakuComment = toDanmakuComment;
+window.createCommentSync = createCommentSync;
@@ -0,0 +1,280 @@
+/**
+ * Danmaku Layout Engine
+ * Splits the screen into horizontal lanes and hands each new scrolling comment
+ * a lane where it can neither overlap nor overtake the comment ahead of it.
+ *
+ * Every comment crosses the screen in the same duration, so wider comments move
+ * faster. A lane is free for a new comment when:
+ * - the previous comment's tail has fully entered the screen (plus a gap), and
+ * - the new comment cannot catch up with it before it leaves the screen.
+ * Lanes are one-way: a lane used by a reverse (left to right) comment only takes
+ * comments of the other direction once it is empty again.
+ *
+ * Fixed (top / bottom) comments stack in their own rows: the first and last
+ * `fixedRows` lanes (at most a quarter of the lanes each) are kept for them, and
+ * each one holds its row for `fixedDuration`. When the area is too small to spare
+ * rows, fixed comments share lanes with scrolling ones: a fixed comment then only
+ * takes a lane no scrolling comment is still crossing, and scrolling comments
+ * skip lanes held by a fixed one.
+ */
+
+const DANMAKU_DEFAULT_DURATION = 16000;
+const DANMAKU_LANE_HEIGHT = 52;
+const danmakuTextWidthCache = new Map();
+let danmakuMeasureContext = null;
+
+// Measure rendered text width with a shared offscreen canvas (cached per font + text)
+function measureDanmakuText(text, font) {
+  const key = `${font}|${text}`;
+  if (danmakuTextWidthCache.has(key)) {
+    return danmakuTextWidthCache.get(key);
+  }
+
+  if (!danmakuMeasureContext) {
+    danmakuMeasureContext = document.createElement('canvas').getContext('2d');
+  }
+  danmakuMeasureContext.font = font;
+  const width = danmakuMeasureContext.measureText(text).width;
+
+  // Keep the cache bounded on long sessions
+  if (danmakuTextWidthCache.size > 2000) {
+    danmakuTextWidthCache.clear();
+  }
+  danmakuTextWidthCache.set(key, width);
+  return width;
+}
+
+// Estimate the on-screen width of a DanmakuComment before it is rendered
+// `chipCounts` holds the counts of the other always-visible chips (replies, reactions)
+function estimateDanmakuWidth(text, { likesCount = 0, chipCounts = [], scale = 1 } = {}) {
+  const isMobile = window.innerWidth < 768; // md breakpoint
+  const fontSize = isMobile ? 16 : 20; // text-base / md:text-xl
+  const fontFamily = window.getComputedStyle(document.body).fontFamily || 'sans-serif';
+  const font = `500 ${fontSize}px ${fontFamily}`;
+
+  // Text bubble: px-4 padding on both sides
+  let width = measureDanmakuText(text, font) + 32;
+
+  // Like chip: gap-2 + px-3 padding + heart icon + count
+  if (likesCount > 0) {
+    width += 8 + 24 + fontSize + 4 + measureDanmakuText(String(likesCount), font);
+  }
+
+  chipCounts.forEach(count => {
+    width += 8 + 24 + fontSize + 4 + measureDanmakuText(String(count), font);
+  });
+
+  return Math.ceil(width * scale);
+}
+
+/**
+ * Create a lane allocator
+ *
+ * @param {Object} [options]
+ * @param {number} [options.duration] - Time in ms for a comment to cross the screen
+ * @param {number} [options.fixedDuration] - Time in ms a top / bottom comment stays on screen
+ * @param {number} [options.laneHeight] - Height of one lane in px
+ * @param {number} [options.fixedRows] - Rows kept for top comments, and as many for bottom ones
+ * @param {number} [options.gap] - Minimum horizontal gap between comments in a lane
+ * @param {number} [options.areaTop] - Top of the usable area as a fraction of viewport height
+ * @param {number} [options.areaBottom] - Bottom of the usable area as a fraction of viewport height
+ * @param {string} [options.exclusionSelector] - CSS selector of elements comments must not cross
+ * @param {number} [options.exclusionPadding] - Extra space kept around exclusion zones
+ */
+function createDanmakuLayout(options = {}) {
+  const config = {
+    duration: DANMAKU_DEFAULT_DURATION,
+    fixedDuration: 4000,
+    laneHeight: DANMAKU_LANE_HEIGHT,
+    fixedRows: 2,
+    gap: 24,
+    areaTop: 0.05,
+    areaBottom: 0.95,
+    exclusionSelector: '[data-danmaku-exclude]',
+    exclusionPadding: 8,
+    ...options
+  };
+
+  // Lane index -> last comment placed there { startedAt, width, speed, direction }
+  const laneTails = new Map();
+  // Lane index -> time until which a fixed comment holds the row
+  const fixedRows = new Map();
+  let lanes = [];
+  // Lanes scrolling comments may use, and the rows kept for fixed ones
+  let scrollLanes = [];
+  let fixedLanes = { top: [], bottom: [] };
+
+  const getExclusionZones = () => {
+    if (!config.exclusionSelector) return [];
+    return Array.from(document.querySelectorAll(config.exclusionSelector))
+      .map(element => element.getBoundingClientRect())
+      .filter(rect => rect.width > 0 && rect.height > 0)
+      .map(rect => ({
+        top: rect.top - config.exclusionPadding,
+        bottom: rect.bottom + config.exclusionPadding
+      }));
+  };
+
+  // Recompute lane geometry from the current viewport and exclusion zones
+  const layout = () => {
+    const viewportHeight = window.innerHeight;
+    const areaTop = viewportHeight * config.areaTop;
+    const areaBottom = viewportHeight * config.areaBottom;
+    const zones = getExclusionZones();
+
+    const nextLanes = [];
+    for (let index = 0; areaTop + (index + 1) * config.laneHeight <= areaBottom; index++) {
+      const top = areaTop + index * config.laneHeight;
+      const bottom = top + config.laneHeight;
+      const blocked = zones.some(zone => top < zone.bottom && bottom > zone.top);
+      if (!blocked) {
+        nextLanes.push({ index, top });
+      }
+    }
+
+    // Forget tails of lanes that no longer exist
+    const validIndexes = new Set(nextLanes.map(lane => lane.index));
+    laneTails.forEach((_, index) => {
+      if (!validIndexes.has(index)) laneTails.delete(index);
+    });
+    fixedRows.forEach((_, index) => {
+      if (!validIndexes.has(index)) fixedRows.delete(index);
+    });
+
+    lanes = nextLanes;
+    const reserved = Math.min(config.fixedRows, Math.floor(lanes.length / 4));
+    fixedLanes = {
+      top: lanes.slice(0, reserved),
+      bottom: reserved > 0 ? lanes.slice(-reserved).reverse() : []
+    };
+    scrollLanes = reserved > 0 ? lanes.slice(reserved, -reserved) : lanes;
+    return lanes;
+  };
+
+  const isLaneFree = (laneIndex, width, speed, direction, now) => {
+    if ((fixedRows.get(laneIndex) || 0) > now) return false;
+
+    const tail = laneTails.get(laneIndex);
+    if (!tail) return true;
+
+    const screenWidth = window.innerWidth;
+    const elapsed = now - tail.startedAt;
+
+    // Previous comment has already left the screen
+    if (elapsed >= config.duration) return true;
+
+    // Opposite directions would cross head-on
+    if (tail.direction !== direction) return false;
+
+    // Previous comment's right edge must be fully on screen with a gap behind it
+    const tailRightEdge = screenWidth - tail.speed * elapsed + tail.width;
+    if (tailRightEdge + config.gap > screenWidth) return false;
+
+    // A faster comment must not reach the previous one before it exits on the left
+    if (speed > tail.speed) {
+      const timeUntilTailExits = config.duration - elapsed;
+      const newLeftEdgeThen = screenWidth - speed * timeUntilTailExits;
+      if (newLeftEdgeThen < config.gap) return false;
+    }
+
+    return true;
+  };
+
+  /**
+   * Reserve a lane for a scrolling comment of the given width
+   * @param {number} width
+   * @param {'left'|'right'} [direction] - left for normal scroll, right for reverse
+   * @returns {{ lane: number, top: number } | null} null when every lane is busy
+   */
+  const allocate = (width, direction = 'left') => {
+    layout();
+
+    const now = Date.now();
+    const speed = (window.innerWidth + width) / config.duration;
+    const lane = scrollLanes.find(candidate => isLaneFree(candidate.index, width, speed, direction, now));
+    if (!lane) return null;
+
+    laneTails.set(lane.index, { startedAt: now, width, speed, direction });
+    return { lane: lane.index, top: lane.top };
+  };
+
+  /**
+   * Reserve a row for a fixed comment
+   * @param {'top'|'bottom'} position - Stack rows downwards from the top or upwards from the bottom
+   * @returns {{ lane: number, top: number } | null} null when every row is held
+   */
+  const allocateFixed = (position) => {
+    layout();
+
+    const now = Date.now();
+    const ownRows = fixedLanes[position === 'bottom' ? 'bottom' : 'top'];
+    const candidates = ownRows.length > 0 ? ownRows : position === 'bottom' ? [...lanes].reverse() : lanes;
+    const row = candidates.find(candidate => {
+      if ((fixedRows.get(candidate.index) || 0) > now) return false;
+      // On shared lanes, a scrolling comment still on screen would run through the fixed one
+      const tail = laneTails.get(candidate.index);
+      return !tail || now - tail.startedAt >= config.duration;
+    });
+    if (!row) return null;
+
+    fixedRows.set(row.index, now + config.fixedDuration);
+    return { lane: row.index, top: row.top };
+  };
+
+  // Current top offset of a lane, or null when it was removed by a re-layout
+  const getLaneTop = (laneIndex) => {
+    const lane = lanes.find(candidate => candidate.index === laneIndex);
+    return lane ? lane.top : null;
+  };
+
+  // Danmaku already on screen are re-timed to the new duration and resized with the
+  // lane height, keeping their progress; their tails follow so lanes aren't freed early.
+  // Lanes keep their index, and the caller moves each danmaku to its lane's new top
+  const setOptions = (nextOptions) => {
+    const now = Date.now();
+    const duration = nextOptions.duration ?? config.duration;
+    const sizeRatio = (nextOptions.laneHeight ?? config.laneHeight) / config.laneHeight;
+    if (duration !== config.duration || sizeRatio !== 1) {
+      laneTails.forEach((tail, index) => {
+        const progress = (now - tail.startedAt) / config.duration;
+        const width = tail.width * sizeRatio;
+        laneTails.set(index, {
+          ...tail,
+          startedAt: now - progress * duration,
+          width,
+          speed: (window.innerWidth + width) / duration
+        });
+      });
+    }
+    Object.assign(config, nextOptions);
+    layout();
+  };
+
+  const reset = () => {
+    laneTails.clear();
+    fixedRows.clear();
+  };
+
+  return {
+    layout,
+    allocate,
+    allocateFixed,
+    getLaneTop,
+    getLanes: () => lanes,
+    setOptions,
+    reset,
+    get duration() {
+      return config.duration;
+    },
+    get fixedDuration() {
+      return config.fixedDuration;
+    }
+  };
+}
+
+// Make it globally available
+window.DANMAKU_DEFAULT_DURATION = DANMAKU_DEFAULT_DURATION;
+window.DANMAKU_LANE_HEIGHT = DANMAKU_LANE_HEIGHT;
+window.createDanmakuLayout = createDanmakuLayout;
+window.estimateDanmakuWidth = estimateDanmakuWidth;
+window.measureDanmakuText = measureDanmakuText;
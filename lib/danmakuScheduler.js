@@ -0,0 +1,160 @@
+/**
+ * Danmaku Scheduler
+ * Decides which loaded comment flies next while the stream loops. Instead of one
+ * slot per comment per cycle, comments are drawn at random weighted by:
+ * - popularity: the reaction score (hearts plus weighted emoji reactions)
+ * - recency: a boost for recent comments that halves every `recencyHalfLifeMs`
+ * - the viewer's own comments
+ * - a freshness boost for comments only minutes old
+ * - a boost until a comment has played once this session
+ *
+ * No comment may take more than `maxShare` of the total weight, and a comment
+ * doesn't return within `cooldownMs`. Picks are drawn `lookahead` ahead so
+ * `getQueue()` can show what comes next (`window.getDanmakuQueue()` in the console).
+ *
+ * Defaults can be overridden with `window.DANMAKU_SCHEDULER_CONFIG`.
+ */
+
+const DEFAULT_SCHEDULER_CONFIG = {
+  likeWeight: 0.15,
+  recencyWeight: 2,
+  recencyHalfLifeMs: 6 * 60 * 60 * 1000,
+  ownWeight: 3,
+  freshBoost: 6,
+  freshWindowMs: 5 * 60 * 1000,
+  unplayedBoost: 2,
+  maxShare: 0.08,
+  cooldownMs: 30 * 1000,
+  lookahead: 10,
+  // Pace of the playback pump, mobile / desktop
+  maxConcurrent: { mobile: 10, desktop: 28 },
+  maxPerTick: { mobile: 2, desktop: 3 },
+  intervalMs: { mobile: 4000, desktop: 2500 }
+};
+
+/**
+ * Create a scheduler
+ *
+ * @param {Object} [options] - Overrides for DEFAULT_SCHEDULER_CONFIG, plus:
+ * @param {Function} [options.isOwnComment] - Whether a comment was posted by the current viewer
+ */
+function createDanmakuScheduler(options = {}) {
+  const { isOwnComment = () => false, ...overrides } = options;
+  const config = { ...DEFAULT_SCHEDULER_CONFIG, ...overrides };
+
+  let pool = new Map();
+  // commentId -> { lastPlayedAt, plays }
+  const history = new Map();
+  let upcoming = [];
+
+  // Weight of one comment and the factors it is made of
+  const getWeight = (comment, now = Date.now()) => {
+    const age = Math.max(0, now - new Date(comment.createdAt).getTime());
+    const played = history.get(comment.id);
+    const factors = {
+      popularity: 1 + getReactionScore(comment.likesCount, comment.reactionCounts) * config.likeWeight,
+      recency: 1 + config.recencyWeight * Math.pow(0.5, age / config.recencyHalfLifeMs),
+      own: isOwnComment(comment) ? config.ownWeight : 1,
+      fresh: age < config.freshWindowMs ? config.freshBoost : 1,
+      unplayed: played ? 1 : config.unplayedBoost
+    };
+    const weight = Object.values(factors).reduce((product, factor) => product * factor, 1);
+    return { weight, factors };
+  };
+
+  const isCoolingDown = (commentId, now) => {
+    const played = history.get(commentId);
+    return Boolean(played) && now - played.lastPlayedAt < config.cooldownMs;
+  };
+
+  // Top up the lookahead with weighted draws, without repeats
+  const refill = (exclude, now = Date.now()) => {
+    const queued = new Set(upcoming.map(entry => entry.comment.id));
+    const candidates = [];
+    pool.forEach(comment => {
+      if (queued.has(comment.id) || exclude.has(comment.id) || isCoolingDown(comment.id, now)) return;
+      candidates.push({ comment, ...getWeight(comment, now) });
+    });
+
+    // Cap so a single comment can't crowd out the rest; small pools keep at least the average
+    const total = candidates.reduce((sum, candidate) => sum + candidate.weight, 0);
+    const cap = Math.max(total * config.maxShare, total / candidates.length);
+    candidates.forEach(candidate => {
+      candidate.weight = Math.min(candidate.weight, cap);
+    });
+
+    while (upcoming.length < config.lookahead && candidates.length > 0) {
+      const remaining = candidates.reduce((sum, candidate) => sum + candidate.weight, 0);
+      let target = Math.random() * remaining;
+      let pickIndex = candidates.findIndex(candidate => (target -= candidate.weight) <= 0);
+      if (pickIndex === -1) pickIndex = candidates.length - 1;
+      upcoming.push(candidates.splice(pickIndex, 1)[0]);
+    }
+  };
+
+  const markPlayed = (commentId, now = Date.now()) => {
+    const played = history.get(commentId);
+    history.set(commentId, { lastPlayedAt: now, plays: played ? played.plays + 1 : 1 });
+  };
+
+  // Replace the pool of playable comments; queued picks that left it are dropped
+  const setComments = (comments) => {
+    pool = new Map(comments.map(comment => [comment.id, comment]));
+    upcoming = upcoming
+      .filter(entry => pool.has(entry.comment.id))
+      .map(entry => ({ ...entry, comment: pool.get(entry.comment.id) }));
+  };
+
+  /**
+   * Take the next comments to play and mark them played
+   * @param {number} count
+   * @param {Object} [options]
+   * @param {Set} [options.exclude] - Comment ids that must not be picked, e.g. already on screen
+   */
+  const next = (count, { exclude = new Set() } = {}) => {
+    const now = Date.now();
+    refill(exclude, now);
+
+    const picks = [];
+    while (picks.length < count && upcoming.length > 0) {
+      const { comment } = upcoming.shift();
+      if (exclude.has(comment.id)) continue;
+      picks.push(comment);
+      markPlayed(comment.id, now);
+    }
+
+    refill(exclude, now);
+    return picks;
+  };
+
+  // What plays next, for debugging
+  const getQueue = () => upcoming.map(({ comment, weight, factors }) => ({
+    id: comment.id,
+    text: comment.text,
+    weight: Math.round(weight * 100) / 100,
+    factors,
+    plays: history.get(comment.id)?.plays || 0
+  }));
+
+  // Playback pace for the current screen size
+  const getPace = () => {
+    const device = window.innerWidth < 768 ? 'mobile' : 'desktop'; // md breakpoint
+    return {
+      maxConcurrent: config.maxConcurrent[device],
+      maxPerTick: config.maxPerTick[device],
+      intervalMs: config.intervalMs[device]
+    };
+  };
+
+  return {
+    setComments,
+    next,
+    markPlayed,
+    getWeight,
+    getQueue,
+    getPace
+  };
+}
+
+// Make it globally available
+window.createDanmakuScheduler = createDanmakuScheduler;
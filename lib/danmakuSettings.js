@@ -0,0 +1,66 @@
+/**
+ * Danmaku Settings
+ * Viewer preferences for how the stream is shown, saved in localStorage:
+ * - speed: crossing speed multiplier (1 = DANMAKU_DEFAULT_DURATION per crossing)
+ * - opacity: opacity of every danmaku
+ * - density: share of the scheduler's maximum on-screen comments
+ * - fontScale: text size multiplier, lanes grow with it
+ * - area: part of the screen comments may use, from DANMAKU_AREAS
+ */
+
+const DANMAKU_SETTINGS_STORAGE_KEY = 'iphone17_danmaku_settings';
+
+const DANMAKU_AREAS = [
+  { id: 'third', label: 'Top third', bottom: 1 / 3 },
+  { id: 'half', label: 'Top half', bottom: 0.5 },
+  { id: 'full', label: 'Full screen', bottom: 0.95 }
+];
+
+const DANMAKU_SETTING_RANGES = {
+  speed: { min: 0.5, max: 2, step: 0.25 },
+  opacity: { min: 0.2, max: 1, step: 0.05 },
+  density: { min: 0.1, max: 1, step: 0.1 },
+  fontScale: { min: 0.75, max: 1.5, step: 0.05 }
+};
+
+const DEFAULT_DANMAKU_SETTINGS = { speed: 1, opacity: 1, density: 1, fontScale: 1, area: 'full' };
+
+// Fill in defaults and clamp values into their ranges
+function normalizeDanmakuSettings(settings) {
+  const source = settings && typeof settings === 'object' ? settings : {};
+  const normalized = {
+    area: DANMAKU_AREAS.some(area => area.id === source.area) ? source.area : DEFAULT_DANMAKU_SETTINGS.area
+  };
+  Object.entries(DANMAKU_SETTING_RANGES).forEach(([key, range]) => {
+    const value = Number(source[key]);
+    normalized[key] = Number.isFinite(value)
+      ? Math.min(range.max, Math.max(range.min, value))
+      : DEFAULT_DANMAKU_SETTINGS[key];
+  });
+  return normalized;
+}
+
+function getDanmakuArea(areaId) {
+  return DANMAKU_AREAS.find(area => area.id === areaId) || DANMAKU_AREAS[DANMAKU_AREAS.length - 1];
+}
+
+function getStoredDanmakuSettings() {
+  try {
+    return normalizeDanmakuSettings(JSON.parse(localStorage.getItem(DANMAKU_SETTINGS_STORAGE_KEY) || 'null'));
+  } catch (error) {
+    return normalizeDanmakuSettings(null);
+  }
+}
+
+function storeDanmakuSettings(settings) {
+  localStorage.setItem(DANMAKU_SETTINGS_STORAGE_KEY, JSON.stringify(normalizeDanmakuSettings(settings)));
+}
+
+// Make it globally available
+window.DANMAKU_AREAS = DANMAKU_AREAS;
+window.DANMAKU_SETTING_RANGES = DANMAKU_SETTING_RANGES;
+window.DEFAULT_DANMAKU_SETTINGS = DEFAULT_DANMAKU_SETTINGS;
+window.normalizeDanmakuSettings = normalizeDanmakuSettings;
+window.getDanmakuArea = getDanmakuArea;
+window.getStoredDanmakuSettings = getStoredDanmakuSettings;
+window.storeDanmakuSettings = storeDanmakuSettings;
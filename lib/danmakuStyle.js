@@ -0,0 +1,62 @@
+/**
+ * Danmaku Style
+ * Style payload stored with each comment as `style: { mode, color, size }`:
+ * - mode: scroll (right to left), reverse (left to right), top / bottom (fixed, centered)
+ * - color: id from DANMAKU_COLORS
+ * - size: small / normal / large
+ *
+ * Comments stored without a style (or with unknown values) fall back to the
+ * default: white, normal size, scrolling right to left.
+ */
+
+const DANMAKU_MODES = [
+  { id: 'scroll', label: 'Scroll', icon: 'arrow-left' },
+  { id: 'top', label: 'Top', icon: 'arrow-up-to-line' },
+  { id: 'bottom', label: 'Bottom', icon: 'arrow-down-to-line' },
+  { id: 'reverse', label: 'Reverse', icon: 'arrow-right' }
+];
+
+const DANMAKU_COLORS = [
+  { id: 'white', value: '#ffffff' },
+  { id: 'red', value: '#fe0302' },
+  { id: 'orange', value: '#ff7204' },
+  { id: 'yellow', value: '#ffd302' },
+  { id: 'green', value: '#00cd00' },
+  { id: 'cyan', value: '#00a2ff' },
+  { id: 'purple', value: '#cc0273' }
+];
+
+const DANMAKU_SIZES = {
+  small: 0.8,
+  normal: 1,
+  large: 1.3
+};
+
+const DEFAULT_DANMAKU_STYLE = { mode: 'scroll', color: 'white', size: 'normal' };
+
+// Fill in defaults and drop unknown values
+function normalizeDanmakuStyle(style) {
+  const source = style && typeof style === 'object' ? style : {};
+  return {
+    mode: DANMAKU_MODES.some(mode => mode.id === source.mode) ? source.mode : DEFAULT_DANMAKU_STYLE.mode,
+    color: DANMAKU_COLORS.some(color => color.id === source.color) ? source.color : DEFAULT_DANMAKU_STYLE.color,
+    size: DANMAKU_SIZES[source.size] ? source.size : DEFAULT_DANMAKU_STYLE.size
+  };
+}
+
+function getDanmakuColor(colorId) {
+  const color = DANMAKU_COLORS.find(candidate => candidate.id === colorId);
+  return color ? color.value : DANMAKU_COLORS[0].value;
+}
+
+function isFixedDanmakuMode(mode) {
+  return mode === 'top' || mode === 'bottom';
+}
+
+// Make it globally available
+window.DANMAKU_MODES = DANMAKU_MODES;
+window.DANMAKU_COLORS = DANMAKU_COLORS;
+window.DANMAKU_SIZES = DANMAKU_SIZES;
+window.normalizeDanmakuStyle = normalizeDanmakuStyle;
+window.getDanmakuColor = getDanmakuColor;
+window.isFixedDanmakuMode = isFixedDanmakuMode;
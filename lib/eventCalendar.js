@@ -0,0 +1,220 @@
+/**
+ * Event Calendar
+ * Helpers around the `event` block of the launch event config:
+ * - event time formatted in the event's timezone and in the visitor's own
+ * - "Add to calendar" as a downloadable .ics file or Google / Outlook links
+ * - an opt-in browser Notification reminder a few minutes before the start,
+ *   stored in localStorage so it is re-armed after a reload. The choices come from
+ *   `reminderOptions` (minutes) and always include the default `reminderMinutes`
+ */
+
+const REMINDER_STORAGE_KEY = 'iphone17_launch_reminder';
+const DEFAULT_REMINDER_OPTIONS = [5, 15, 30, 60];
+const MAX_TIMER_DELAY = 60 * 60 * 1000; // re-check hourly, setTimeout can't wait for weeks
+
+function getEventTimes(event) {
+  const start = new Date(event.start);
+  const end = new Date(start.getTime() + (event.durationMinutes || 60) * 60 * 1000);
+  return { start, end };
+}
+
+function formatEventTime(date, timeZone, options = {}) {
+  return new Intl.DateTimeFormat(undefined, {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone,
+    timeZoneName: 'short',
+    ...options
+  }).format(date);
+}
+
+// Minutes-before choices for the reminder, sorted, with the event's default among them
+function getReminderOptions(event) {
+  const configured = Array.isArray(event.reminderOptions) && event.reminderOptions.length > 0
+    ? event.reminderOptions
+    : DEFAULT_REMINDER_OPTIONS;
+  const options = [...configured, event.reminderMinutes || 15]
+    .map(Number)
+    .filter(minutes => Number.isFinite(minutes) && minutes > 0);
+  return [...new Set(options)].sort((a, b) => a - b);
+}
+
+function getVisitorTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+// 20250909T170000Z
+function toCalendarDate(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeIcsText(text) {
+  return String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/,/g, '\\,')
+    .replace(/;/g, '\\;');
+}
+
+function buildEventIcs(event) {
+  const { start, end } = getEventTimes(event);
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//iPhone 17 Pro//Launch Event//EN',
+    'CALSCALE:GREGORIAN',
+    'BEGIN:VEVENT',
+    `UID:${toCalendarDate(start)}-iphone17-launch@${window.location.hostname || 'localhost'}`,
+    `DTSTAMP:${toCalendarDate(new Date())}`,
+    `DTSTART:${toCalendarDate(start)}`,
+    `DTEND:${toCalendarDate(end)}`,
+    `SUMMARY:${escapeIcsText(event.name)}`,
+    `DESCRIPTION:${escapeIcsText(event.url)}`,
+    `URL:${event.url || ''}`,
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    `DESCRIPTION:${escapeIcsText(event.name)}`,
+    `TRIGGER:-PT${event.reminderMinutes || 15}M`,
+    'END:VALARM',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n');
+}
+
+function downloadEventIcs(event) {
+  const blob = new Blob([buildEventIcs(event)], { type: 'text/calendar;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'iphone-17-pro-launch.ics';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+function getGoogleCalendarUrl(event) {
+  const { start, end } = getEventTimes(event);
+  const params = new URLSearchParams({
+    action: 'TEMPLATE',
+    text: event.name,
+    dates: `${toCalendarDate(start)}/${toCalendarDate(end)}`,
+    details: event.url || '',
+    location: event.url || ''
+  });
+  return `https://calendar.google.com/calendar/render?${params}`;
+}
+
+function getOutlookCalendarUrl(event) {
+  const { start, end } = getEventTimes(event);
+  const params = new URLSearchParams({
+    path: '/calendar/action/compose',
+    rru: 'addevent',
+    subject: event.name,
+    startdt: start.toISOString(),
+    enddt: end.toISOString(),
+    body: event.url || '',
+    location: event.url || ''
+  });
+  return `https://outlook.live.com/calendar/0/deeplink/compose?${params}`;
+}
+
+function getStoredReminder() {
+  try {
+    return JSON.parse(localStorage.getItem(REMINDER_STORAGE_KEY) || 'null');
+  } catch (error) {
+    return null;
+  }
+}
+
+let reminderTimer = null;
+
+const reminderListeners = new Set();
+
+// Be told when the stored reminder fires or is dropped, e.g. to update its button
+// @returns {Function} unsubscribe
+function onReminderChange(listener) {
+  reminderListeners.add(listener);
+  return () => reminderListeners.delete(listener);
+}
+
+const notifyReminderChange = () => {
+  reminderListeners.forEach(listener => listener(getStoredReminder()));
+};
+
+// Arm a timer for the stored reminder, firing a Notification when it is due
+function armStoredReminder() {
+  clearTimeout(reminderTimer);
+  const reminder = getStoredReminder();
+  if (!reminder || reminder.fired) return;
+
+  const fireAt = new Date(reminder.start).getTime() - reminder.minutesBefore * 60 * 1000;
+  const delay = fireAt - Date.now();
+
+  // Missed while the page was closed and the event already started: drop it
+  if (Date.now() > new Date(reminder.start).getTime()) {
+    localStorage.removeItem(REMINDER_STORAGE_KEY);
+    notifyReminderChange();
+    return;
+  }
+
+  if (delay > MAX_TIMER_DELAY) {
+    reminderTimer = setTimeout(armStoredReminder, MAX_TIMER_DELAY);
+    return;
+  }
+
+  reminderTimer = setTimeout(() => {
+    if (typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+      new Notification(reminder.name, {
+        body: `Starts in ${reminder.minutesBefore} minutes`,
+        tag: 'iphone17-launch-reminder'
+      });
+    }
+    localStorage.setItem(REMINDER_STORAGE_KEY, JSON.stringify({ ...reminder, fired: true }));
+    console.log('[EventCalendar] Reminder fired');
+    notifyReminderChange();
+  }, Math.max(0, delay));
+}
+
+/**
+ * Ask for notification permission and store a reminder
+ * @returns {Promise<boolean>} Whether the reminder was set
+ */
+async function setEventReminder(event, minutesBefore) {
+  if (typeof Notification === 'undefined') return false;
+
+  const permission = Notification.permission === 'granted'
+    ? 'granted'
+    : await Notification.requestPermission();
+  if (permission !== 'granted') return false;
+
+  localStorage.setItem(REMINDER_STORAGE_KEY, JSON.stringify({
+    name: event.name,
+    start: event.start,
+    minutesBefore,
+    fired: false
+  }));
+  armStoredReminder();
+  return true;
+}
+
+function clearEventReminder() {
+  clearTimeout(reminderTimer);
+  localStorage.removeItem(REMINDER_STORAGE_KEY);
+}
+
+// Make it globally available
+window.formatEventTime = formatEventTime;
+window.getReminderOptions = getReminderOptions;
+window.getVisitorTimeZone = getVisitorTimeZone;
+window.downloadEventIcs = downloadEventIcs;
+window.getGoogleCalendarUrl = getGoogleCalendarUrl;
+window.getOutlookCalendarUrl = getOutlookCalendarUrl;
+window.getStoredReminder = getStoredReminder;
+window.armStoredReminder = armStoredReminder;
+window.onReminderChange = onReminderChange;
+window.setEventReminder = setEventReminder;
+window.clearEventReminder = clearEventReminder;
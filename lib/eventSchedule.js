@@ -0,0 +1,105 @@
+/**
+ * Event Schedule
+ * Loads the launch event config (trickle/assets/launch_event.json) and works out
+ * which phase is current. Phases are ordered by start time; each one runs until
+ * the next begins. A phase with `countdown: true` counts down to the next phase.
+ * `{eventTime}` in a phase subtitle is replaced with the event start, in the
+ * event's timezone, so the date is only written once in the config.
+ *
+ * `?now=<ISO date>` in the URL moves the clock to preview any phase; time keeps
+ * running from that point.
+ */
+
+const EVENT_SCHEDULE_URL = 'trickle/assets/launch_event.json';
+
+function validateEventSchedule(schedule) {
+  if (!schedule || !Array.isArray(schedule.phases) || schedule.phases.length === 0) {
+    throw new Error('Event schedule must have a non-empty "phases" array');
+  }
+  if (schedule.event && Number.isNaN(new Date(schedule.event.start).getTime())) {
+    throw new Error('Event "start" must be a valid date');
+  }
+
+  const phases = schedule.phases.map((phase, index) => {
+    const start = new Date(phase.start);
+    if (!phase.id || Number.isNaN(start.getTime())) {
+      throw new Error(`Phase ${index} needs an "id" and a valid "start" date`);
+    }
+    if (phase.cta && (!phase.cta.label || !phase.cta.href)) {
+      throw new Error(`Phase "${phase.id}" has a CTA without "label" or "href"`);
+    }
+    return { ...phase, startTime: start.getTime() };
+  });
+
+  return {
+    ...schedule,
+    phases: phases.sort((a, b) => a.startTime - b.startTime)
+  };
+}
+
+async function loadEventSchedule(url = EVENT_SCHEDULE_URL) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not load event schedule (${response.status})`);
+  }
+  return validateEventSchedule(await response.json());
+}
+
+// Clock honoring the ?now= override
+function createEventClock() {
+  const override = new URLSearchParams(window.location.search).get('now');
+  const overrideTime = override ? new Date(override).getTime() : NaN;
+  const offset = Number.isNaN(overrideTime) ? 0 : overrideTime - Date.now();
+
+  if (offset !== 0) {
+    console.log('[EventSchedule] Clock overridden to:', new Date(overrideTime).toISOString());
+  }
+  return () => Date.now() + offset;
+}
+
+/**
+ * Find the phase running at `now`
+ * @returns {{ phase: Object|null, next: Object|null }} phase is null before the first phase starts
+ */
+function getEventPhase(schedule, now) {
+  let current = null;
+  let next = null;
+  for (const phase of schedule.phases) {
+    if (phase.startTime <= now) {
+      current = phase;
+    } else {
+      next = phase;
+      break;
+    }
+  }
+  return { phase: current, next };
+}
+
+// Phase subtitle with `{eventTime}` filled in from the event block
+function getPhaseSubtitle(phase, event) {
+  const subtitle = phase.subtitle || '';
+  if (!event || !subtitle.includes('{eventTime}')) return subtitle;
+  const eventTime = formatEventTime(new Date(event.start), event.timeZone, { weekday: undefined, minute: undefined });
+  return subtitle.split('{eventTime}').join(eventTime);
+}
+
+function getCountdown(targetTime, now) {
+  const diff = targetTime - now;
+  if (diff <= 0) {
+    return { days: 0, hours: 0, minutes: 0, seconds: 0, expired: true };
+  }
+  return {
+    days: Math.floor(diff / (1000 * 60 * 60 * 24)),
+    hours: Math.floor((diff % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60)),
+    minutes: Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60)),
+    seconds: Math.floor((diff % (1000 * 60)) / 1000),
+    expired: false
+  };
+}
+
+// Make it globally available
+window.loadEventSchedule = loadEventSchedule;
+window.createEventClock = createEventClock;
+window.getEventPhase = getEventPhase;
+window.getPhaseSubtitle = getPhaseSubtitle;
+window.getCountdown = getCountdown;
@@ -0,0 +1,133 @@
+/**
+ * Like Service
+ * Likes are stored as their own records keyed by (comment_id, user_id) instead of
+ * a read-modify-write counter, so concurrent likes are never lost. Each comment's
+ * records live in their own `danmaku_like:<commentId>` collection, so one comment's
+ * likes are a single server-side query on every storage backend.
+ *
+ * Counts are the number of distinct users with a record for a comment. After every
+ * like/unlike that comment's records are re-read and the count is patched into the
+ * comment's `likes_count` as a reconciled cache (an absolute value, never an increment).
+ * The patch is computed from the comment as read at write time, so the
+ * `legacy_likes_count` (likes given before per-user records existed) and the cached
+ * `reaction_score` (see lib/reactions.js) never come from a stale copy.
+ *
+ * Which comments the viewer liked is remembered in localStorage, so mounting reads
+ * nothing from storage; a toggle always checks the comment's records first.
+ */
+
+const LIKE_TYPE = 'danmaku_like';
+const LIKED_COMMENTS_STORAGE_KEY = 'iphone17_liked_comments';
+
+// Collection holding the like records of one comment
+function getLikeType(commentId) {
+  return `${LIKE_TYPE}:${commentId}`;
+}
+
+/**
+ * Create a like service for one viewer
+ *
+ * @param {Object} options
+ * @param {Object} options.storage - Storage adapter (see lib/storage.js)
+ * @param {string} options.userId - Current viewer
+ * @param {number} [options.pageSize] - Records requested per page when refreshing
+ */
+function createLikeService({ storage, userId, pageSize = 500 }) {
+  // commentId -> Map(userId -> [recordId]), for comments read this session
+  const likers = new Map();
+  // Comment ids the viewer liked
+  let liked = new Set();
+
+  const storageKey = `${LIKED_COMMENTS_STORAGE_KEY}_${userId}`;
+
+  const storeLiked = () => {
+    localStorage.setItem(storageKey, JSON.stringify([...liked]));
+  };
+
+  // Read the viewer's likes remembered by this browser
+  const refresh = async () => {
+    try {
+      const stored = JSON.parse(localStorage.getItem(storageKey) || '[]');
+      liked = new Set(Array.isArray(stored) ? stored : []);
+    } catch (error) {
+      liked = new Set();
+    }
+    console.log('[LikeService] Restored own likes:', liked.size);
+  };
+
+  // Re-read every like record of one comment
+  const refreshComment = async (commentId) => {
+    const byUser = new Map();
+    let cursor = null;
+    do {
+      const page = await storage.list(getLikeType(commentId), { limit: pageSize, cursor, descending: false });
+      page.items.forEach(record => {
+        const likerId = record.objectData.user_id;
+        if (likerId) byUser.set(likerId, [...(byUser.get(likerId) || []), record.objectId]);
+      });
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    likers.set(commentId, byUser);
+    if (byUser.has(userId)) {
+      liked.add(commentId);
+    } else {
+      liked.delete(commentId);
+    }
+    storeLiked();
+  };
+
+  const isLiked = (commentId) => liked.has(commentId);
+
+  // Store the reconciled count on the comment so lists can show and sort by it.
+  // Only the like fields are written, so a concurrent moderation or reaction update survives
+  const writeBackCount = async (commentId) => {
+    const recordCount = likers.get(commentId)?.size || 0;
+    const comment = await storage.patch('danmaku_comment', commentId, (data) => {
+      const legacyLikes = data.legacy_likes_count ?? (data.likes_count || 0);
+      const count = legacyLikes + recordCount;
+      return {
+        legacy_likes_count: legacyLikes,
+        likes_count: count,
+        reaction_score: getReactionScore(count, data.reaction_counts || {})
+      };
+    });
+    return comment.objectData.likes_count;
+  };
+
+  /**
+   * Like or unlike a comment for the current viewer
+   * @returns {Promise<{ liked: boolean, count: number }>} State confirmed by storage
+   */
+  const toggle = async (commentId) => {
+    // Decide from the stored records, not the local memory of what was liked
+    await refreshComment(commentId);
+
+    const recordIds = likers.get(commentId).get(userId);
+    if (recordIds) {
+      // Remove every record of this viewer, including duplicates from racing tabs
+      await Promise.all(recordIds.map(recordId => storage.delete(getLikeType(commentId), recordId)));
+      console.log('[LikeService] Unliked comment:', commentId);
+    } else {
+      await storage.create(getLikeType(commentId), {
+        comment_id: commentId,
+        user_id: userId,
+        created_at: new Date().toISOString()
+      });
+      console.log('[LikeService] Liked comment:', commentId);
+    }
+
+    await refreshComment(commentId);
+    const count = await writeBackCount(commentId);
+    return { liked: isLiked(commentId), count };
+  };
+
+  return {
+    refresh,
+    isLiked,
+    toggle
+  };
+}
+
+// Make it globally available
+window.createLikeService = createLikeService;
@@ -0,0 +1,119 @@
+/**
+ * Moderation
+ * Comment status handling, moderator unlock and audited moderation actions.
+ *
+ * A comment's `status` is one of COMMENT_STATUS; comments without one are visible.
+ * Hidden comments never play, pinned ones are shown in the top banner instead of
+ * scrolling. Every action is written to the `moderation_log` collection, which
+ * other sessions poll to pick up the change (see lib/commentSync.js).
+ *
+ * Moderator mode is a local convenience gate, not access control: it unlocks
+ * with the `iphone17_role` localStorage flag set to "moderator", or with a
+ * passphrase whose SHA-256 hex digest is `window.DANMAKU_MODERATION_CONFIG.passphraseHash`.
+ */
+
+const COMMENT_STATUS = {
+  VISIBLE: 'visible',
+  HIDDEN: 'hidden',
+  PINNED: 'pinned'
+};
+
+const MODERATION_LOG_TYPE = 'moderation_log';
+
+// Status a comment ends up with after each action; delete removes it instead
+const MODERATION_ACTION_STATUS = {
+  hide: COMMENT_STATUS.HIDDEN,
+  unhide: COMMENT_STATUS.VISIBLE,
+  pin: COMMENT_STATUS.PINNED,
+  unpin: COMMENT_STATUS.VISIBLE
+};
+const MODERATOR_ROLE_KEY = 'iphone17_role';
+
+// Comments that may appear in the scrolling stream
+function isCommentPlayable(comment) {
+  return (comment.status || COMMENT_STATUS.VISIBLE) === COMMENT_STATUS.VISIBLE;
+}
+
+function isModerator() {
+  return localStorage.getItem(MODERATOR_ROLE_KEY) === 'moderator';
+}
+
+async function hashPassphrase(passphrase) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(passphrase));
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Unlock moderator mode with the configured passphrase
+ * @returns {Promise<boolean>} Whether the passphrase matched
+ */
+async function unlockModeration(passphrase) {
+  const expected = window.DANMAKU_MODERATION_CONFIG?.passphraseHash;
+  if (!expected) {
+    console.warn('[Moderation] No passphraseHash configured, passphrase unlock is disabled');
+    return false;
+  }
+
+  const matches = (await hashPassphrase(passphrase)) === expected.toLowerCase();
+  if (matches) {
+    localStorage.setItem(MODERATOR_ROLE_KEY, 'moderator');
+  }
+  return matches;
+}
+
+function lockModeration() {
+  localStorage.removeItem(MODERATOR_ROLE_KEY);
+}
+
+/**
+ * Apply a moderation action to a comment and record it in the audit log
+ *
+ * @param {Object} options
+ * @param {Object} options.storage - Storage adapter (see lib/storage.js)
+ * @param {string} options.commentId
+ * @param {'hide'|'unhide'|'pin'|'unpin'|'delete'} options.action
+ * @param {string} options.moderatorId
+ * @param {string} [options.reason]
+ */
+async function moderateComment({ storage, commentId, action, moderatorId, reason = '' }) {
+  const comment = await storage.get('danmaku_comment', commentId);
+  const previousStatus = comment.objectData.status || COMMENT_STATUS.VISIBLE;
+
+  const nextStatus = MODERATION_ACTION_STATUS[action];
+
+  if (action === 'delete') {
+    await storage.delete('danmaku_comment', commentId);
+  } else if (nextStatus) {
+    // Only the status is written, so likes and reactions counted meanwhile stay
+    await storage.patch('danmaku_comment', commentId, { status: nextStatus });
+  } else {
+    throw new Error(`Unknown moderation action: ${action}`);
+  }
+
+  await storage.create(MODERATION_LOG_TYPE, {
+    action,
+    comment_id: commentId,
+    comment_text: comment.objectData.text,
+    comment_user_id: comment.objectData.user_id || null,
+    previous_status: previousStatus,
+    status: nextStatus || null,
+    moderator_id: moderatorId,
+    reason,
+    created_at: new Date().toISOString()
+  });
+
+  console.log('[Moderation] Applied action:', action, commentId);
+  return action === 'delete' ? null : nextStatus;
+}
+
+// Make it globally available
+window.COMMENT_STATUS = COMMENT_STATUS;
+window.MODERATION_LOG_TYPE = MODERATION_LOG_TYPE;
+window.MODERATION_ACTION_STATUS = MODERATION_ACTION_STATUS;
+window.isModerator = isModerator;
+window.unlockModeration = unlockModeration;
+window.lockModeration = lockModeration;
+window.isCommentPlayable = isCommentPlayable;
+window.moderateComment = moderateComment;
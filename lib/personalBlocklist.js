@@ -0,0 +1,104 @@
+/**
+ * Personal Blocklist
+ * Viewer-side filter, kept in localStorage, for comments this viewer doesn't want
+ * to see. Unlike the shared blocklist in lib/commentGuard.js it only affects the
+ * current browser. Shape: `{ keywords: [], patterns: [], userIds: [] }`
+ * - keywords: matched against the normalized text (case, accents, leetspeak)
+ * - patterns: regular expression sources, matched case-insensitively
+ * - userIds: `user_id`s whose comments are hidden
+ *
+ * The list can be exported to and imported from a JSON file.
+ */
+
+const PERSONAL_BLOCKLIST_STORAGE_KEY = 'iphone17_personal_blocklist';
+
+const uniqueStrings = (values) => Array.isArray(values)
+  ? [...new Set(values.filter(value => typeof value === 'string').map(value => value.trim()).filter(Boolean))]
+  : [];
+
+function isValidBlockPattern(source) {
+  try {
+    new RegExp(source, 'i');
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Fill in missing lists, drop duplicates and patterns that don't compile
+function normalizePersonalBlocklist(list) {
+  const source = list && typeof list === 'object' ? list : {};
+  return {
+    keywords: uniqueStrings(source.keywords),
+    patterns: uniqueStrings(source.patterns).filter(isValidBlockPattern),
+    userIds: uniqueStrings(source.userIds)
+  };
+}
+
+function getStoredPersonalBlocklist() {
+  try {
+    return normalizePersonalBlocklist(JSON.parse(localStorage.getItem(PERSONAL_BLOCKLIST_STORAGE_KEY) || 'null'));
+  } catch (error) {
+    return normalizePersonalBlocklist(null);
+  }
+}
+
+function storePersonalBlocklist(list) {
+  localStorage.setItem(PERSONAL_BLOCKLIST_STORAGE_KEY, JSON.stringify(normalizePersonalBlocklist(list)));
+}
+
+/**
+ * Build a matcher for a blocklist
+ * @returns {Function} (comment) => true when the comment should be hidden
+ */
+function createBlocklistMatcher(list) {
+  const { keywords, patterns, userIds } = normalizePersonalBlocklist(list);
+  const normalizedKeywords = keywords.map(normalizeCommentText);
+  const expressions = patterns.map(source => new RegExp(source, 'i'));
+  const blockedUsers = new Set(userIds);
+
+  return (comment) => {
+    if (comment.userId && blockedUsers.has(comment.userId)) return true;
+    const text = comment.text || '';
+    if (expressions.some(expression => expression.test(text))) return true;
+    const normalized = normalizeCommentText(text);
+    return normalizedKeywords.some(keyword => normalized.includes(keyword));
+  };
+}
+
+function exportPersonalBlocklist(list) {
+  const json = JSON.stringify(normalizePersonalBlocklist(list), null, 2);
+  const blob = new Blob([json], { type: 'application/json;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'danmaku-blocklist.json';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// Parse an exported file; throws when it isn't a blocklist
+function parsePersonalBlocklist(json) {
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed) ||
+    !['keywords', 'patterns', 'userIds'].some(key => Array.isArray(parsed[key]))) {
+    throw new Error('The file has no "keywords", "patterns" or "userIds" list');
+  }
+  return normalizePersonalBlocklist(parsed);
+}
+
+// Make it globally available
+window.isValidBlockPattern = isValidBlockPattern;
+window.normalizePersonalBlocklist = normalizePersonalBlocklist;
+window.getStoredPersonalBlocklist = getStoredPersonalBlocklist;
+window.storePersonalBlocklist = storePersonalBlocklist;
+window.createBlocklistMatcher = createBlocklistMatcher;
+window.exportPersonalBlocklist = exportPersonalBlocklist;
+window.parsePersonalBlocklist = parsePersonalBlocklist;
@@ -0,0 +1,147 @@
+/**
+ * Product Manifest
+ * Loads and validates the product manifest (trickle/assets/iphone_17_pro.json),
+ * the single source of truth for the 3D model shown in App:
+ * - model: GLB `src`, `alt` text, optional `poster` image and `finishMaterials`,
+ *   the names of the body materials a finish recolors. When empty, every opaque,
+ *   non-emissive material whose name doesn't match `finishExclude` (a regular
+ *   expression for glass, screen, lens and similar parts) is recolored
+ * - camera: model-viewer camera defaults (orbit, target, field of view, rotation, controls)
+ * - variants: color finishes `{ id, name, color, palette, materialVariant, recolor }`;
+ *   `palette` holds four background colors (shadow, cool, warm, hot), `materialVariant`
+ *   names a KHR_materials_variants entry in the GLB to use instead of recoloring, and
+ *   `recolor: false` shows the model's original materials
+ * - hotspots: annotated points `{ id, label, position, normal, description }`
+ */
+
+const PRODUCT_MANIFEST_URL = 'trickle/assets/iphone_17_pro.json';
+
+const DEFAULT_CAMERA = {
+  orbit: 'auto auto auto',
+  target: 'auto auto auto',
+  fieldOfView: 'auto',
+  autoRotate: true,
+  controls: true
+};
+
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Material names that keep their own color when finishMaterials is empty
+const DEFAULT_FINISH_EXCLUDE = 'glass|screen|display|lens|camera|flash|sensor|mirror|logo|label|text|decal';
+
+// Three numbers with units, as model-viewer expects for hotspot positions and normals
+const VECTOR_PATTERN = /^-?\d*\.?\d+(m|cm|mm)?\s+-?\d*\.?\d+(m|cm|mm)?\s+-?\d*\.?\d+(m|cm|mm)?$/;
+
+/**
+ * Check a parsed manifest and fill in defaults
+ * @throws {Error} Listing every problem found, so a broken file is fixed in one pass
+ */
+function validateProductManifest(manifest) {
+  const problems = [];
+  const isString = value => typeof value === 'string' && value.trim() !== '';
+
+  if (!manifest || typeof manifest !== 'object') {
+    throw new Error('Product manifest must be a JSON object');
+  }
+
+  if (!manifest.model || !isString(manifest.model.src)) {
+    problems.push('"model.src" must be the URL of a GLB/GLTF file');
+  }
+  if (manifest.model && manifest.model.poster != null && !isString(manifest.model.poster)) {
+    problems.push('"model.poster" must be an image URL or null');
+  }
+  if (manifest.model && manifest.model.finishMaterials != null
+    && (!Array.isArray(manifest.model.finishMaterials) || !manifest.model.finishMaterials.every(isString))) {
+    problems.push('"model.finishMaterials" must be an array of material names');
+  }
+  if (manifest.model && manifest.model.finishExclude != null) {
+    try {
+      new RegExp(manifest.model.finishExclude, 'i');
+    } catch (error) {
+      problems.push('"model.finishExclude" must be a valid regular expression');
+    }
+  }
+
+  const variants = manifest.variants || [];
+  if (!Array.isArray(variants)) {
+    problems.push('"variants" must be an array');
+  } else {
+    const ids = new Set();
+    variants.forEach((variant, index) => {
+      if (!isString(variant.id)) problems.push(`variants[${index}] needs an "id"`);
+      if (ids.has(variant.id)) problems.push(`variants[${index}] repeats id "${variant.id}"`);
+      ids.add(variant.id);
+      if (!isString(variant.name)) problems.push(`variants[${index}] needs a "name"`);
+      if (!HEX_COLOR_PATTERN.test(variant.color || '')) problems.push(`variants[${index}] "color" must be a hex color like #1a2b3c`);
+      if (variant.palette != null
+        && (!Array.isArray(variant.palette) || variant.palette.length !== 4 || !variant.palette.every(color => HEX_COLOR_PATTERN.test(color)))) {
+        problems.push(`variants[${index}] "palette" must be four hex colors`);
+      }
+      if (variant.materialVariant != null && !isString(variant.materialVariant)) {
+        problems.push(`variants[${index}] "materialVariant" must be a variant name`);
+      }
+      if (variant.recolor != null && typeof variant.recolor !== 'boolean') {
+        problems.push(`variants[${index}] "recolor" must be true or false`);
+      }
+    });
+  }
+
+  const hotspots = manifest.hotspots || [];
+  if (!Array.isArray(hotspots)) {
+    problems.push('"hotspots" must be an array');
+  } else {
+    hotspots.forEach((hotspot, index) => {
+      if (!isString(hotspot.id)) problems.push(`hotspots[${index}] needs an "id"`);
+      if (!isString(hotspot.label)) problems.push(`hotspots[${index}] needs a "label"`);
+      if (!VECTOR_PATTERN.test(hotspot.position || '')) problems.push(`hotspots[${index}] "position" must look like "0.01m 0.05m -0.004m"`);
+      if (hotspot.normal && !VECTOR_PATTERN.test(hotspot.normal)) problems.push(`hotspots[${index}] "normal" must look like "0m 0m -1m"`);
+    });
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid product manifest:\n- ${problems.join('\n- ')}`);
+  }
+
+  return {
+    ...manifest,
+    name: manifest.name || 'Product',
+    model: { alt: manifest.name || '3D model', poster: null, finishMaterials: [], finishExclude: DEFAULT_FINISH_EXCLUDE, ...manifest.model },
+    camera: { ...DEFAULT_CAMERA, ...(manifest.camera || {}) },
+    variants,
+    hotspots
+  };
+}
+
+// Finish from the ?finish= URL parameter, falling back to the first variant
+function getInitialFinish(manifest) {
+  const requested = new URLSearchParams(window.location.search).get('finish');
+  return manifest.variants.find(variant => variant.id === requested) || manifest.variants[0] || null;
+}
+
+// Keep the chosen finish in the URL so the view can be shared
+function storeFinishInUrl(finishId) {
+  const url = new URL(window.location.href);
+  url.searchParams.set('finish', finishId);
+  window.history.replaceState(null, '', url);
+}
+
+async function loadProductManifest(url = PRODUCT_MANIFEST_URL) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not load product manifest (${response.status})`);
+  }
+
+  let manifest;
+  try {
+    manifest = await response.json();
+  } catch (error) {
+    throw new Error(`Product manifest is not valid JSON: ${error.message}`);
+  }
+  return validateProductManifest(manifest);
+}
+
+// Make it globally available
+window.loadProductManifest = loadProductManifest;
+window.validateProductManifest = validateProductManifest;
+window.getInitialFinish = getInitialFinish;
+window.storeFinishInUrl = storeFinishInUrl;
@@ -0,0 +1,169 @@
+/**
+ * Reactions
+ * Emoji reactions next to the heart. Like likes, each reaction is its own record
+ * keyed by (comment_id, user_id, reaction) in the comment's own
+ * `danmaku_reaction:<commentId>` collection, and the per-reaction counts are
+ * written back to the comment's `reaction_counts`. A toggle only re-reads that
+ * comment's records, and only `reaction_counts` and `reaction_score` are patched,
+ * computed on the comment as stored at write time, so likes and moderation written
+ * meanwhile stay. The viewer's own reactions are remembered in localStorage.
+ *
+ * Every reaction has a weight; together with hearts (weight 1) they make up the
+ * comment's reaction score, cached as `reaction_score`, which drives danmaku
+ * scale and which comments are loaded first. The set is configurable through
+ * `window.DANMAKU_REACTIONS_CONFIG = { reactions: [{ id, emoji, label, weight }] }`.
+ */
+
+const REACTION_TYPE = 'danmaku_reaction';
+const OWN_REACTIONS_STORAGE_KEY = 'iphone17_reactions';
+
+// Collection holding the reaction records of one comment
+function getReactionType(commentId) {
+  return `${REACTION_TYPE}:${commentId}`;
+}
+
+const DEFAULT_DANMAKU_REACTIONS = [
+  { id: 'fire', emoji: '🔥', label: 'Fire', weight: 2 },
+  { id: 'laugh', emoji: '😂', label: 'Funny', weight: 1.5 },
+  { id: 'mind-blown', emoji: '🤯', label: 'Mind blown', weight: 2.5 },
+  { id: 'thumbs-down', emoji: '👎', label: 'Not for me', weight: -1 }
+];
+
+function getDanmakuReactions() {
+  const configured = window.DANMAKU_REACTIONS_CONFIG?.reactions;
+  return Array.isArray(configured) && configured.length > 0 ? configured : DEFAULT_DANMAKU_REACTIONS;
+}
+
+// Hearts count 1 each, reactions by their weight; never below zero
+function getReactionScore(likesCount = 0, reactionCounts = {}) {
+  const reactionScore = getDanmakuReactions()
+    .reduce((total, reaction) => total + (reactionCounts[reaction.id] || 0) * reaction.weight, 0);
+  return Math.max(0, likesCount + reactionScore);
+}
+
+/**
+ * Create a reaction service for one viewer
+ *
+ * @param {Object} options
+ * @param {Object} options.storage - Storage adapter (see lib/storage.js)
+ * @param {string} options.userId - Current viewer
+ * @param {number} [options.pageSize] - Records requested per page when refreshing
+ */
+function createReactionService({ storage, userId, pageSize = 500 }) {
+  // commentId -> reactionId -> Map(userId -> [recordId]), for comments read this session
+  const reactors = new Map();
+  // commentId -> Set of reaction ids the viewer gave it
+  let own = new Map();
+
+  const storageKey = `${OWN_REACTIONS_STORAGE_KEY}_${userId}`;
+
+  const storeOwn = () => {
+    const entries = [...own].map(([commentId, reactionIds]) => [commentId, [...reactionIds]]);
+    localStorage.setItem(storageKey, JSON.stringify(Object.fromEntries(entries)));
+  };
+
+  // Read the viewer's reactions remembered by this browser
+  const refresh = async () => {
+    try {
+      const stored = JSON.parse(localStorage.getItem(storageKey) || '{}');
+      own = new Map(Object.entries(stored || {})
+        .filter(([, reactionIds]) => Array.isArray(reactionIds))
+        .map(([commentId, reactionIds]) => [commentId, new Set(reactionIds)]));
+    } catch (error) {
+      own = new Map();
+    }
+    console.log('[ReactionService] Restored own reactions:', own.size);
+  };
+
+  // Re-read every reaction record of one comment
+  const refreshComment = async (commentId) => {
+    const byReaction = new Map();
+    let cursor = null;
+    do {
+      const page = await storage.list(getReactionType(commentId), { limit: pageSize, cursor, descending: false });
+      page.items.forEach(record => {
+        const { user_id: reactorId, reaction } = record.objectData;
+        if (!reactorId || !reaction) return;
+        if (!byReaction.has(reaction)) byReaction.set(reaction, new Map());
+        const byUser = byReaction.get(reaction);
+        byUser.set(reactorId, [...(byUser.get(reactorId) || []), record.objectId]);
+      });
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    reactors.set(commentId, byReaction);
+    const mine = [...byReaction].filter(([, byUser]) => byUser.has(userId)).map(([reactionId]) => reactionId);
+    if (mine.length > 0) {
+      own.set(commentId, new Set(mine));
+    } else {
+      own.delete(commentId);
+    }
+    storeOwn();
+  };
+
+  const hasReacted = (commentId, reactionId) => Boolean(own.get(commentId)?.has(reactionId));
+
+  // Reaction ids the viewer gave a comment
+  const getReactions = (commentId) => getDanmakuReactions()
+    .filter(reaction => hasReacted(commentId, reaction.id))
+    .map(reaction => reaction.id);
+
+  const getCounts = (commentId) => {
+    const counts = {};
+    (reactors.get(commentId) || new Map()).forEach((byUser, reactionId) => {
+      if (byUser.size > 0) counts[reactionId] = byUser.size;
+    });
+    return counts;
+  };
+
+  // Store the reconciled counts and score on the comment so lists can show and sort by them.
+  // The score is computed from the likes stored at write time, not from an earlier read
+  const writeBackCounts = async (commentId) => {
+    const counts = getCounts(commentId);
+    await storage.patch('danmaku_comment', commentId, (data) => ({
+      reaction_counts: counts,
+      reaction_score: getReactionScore(data.likes_count || 0, counts)
+    }));
+    return counts;
+  };
+
+  /**
+   * Add or remove one reaction for the current viewer
+   * @returns {Promise<{ reacted: boolean, counts: Object }>} State confirmed by storage
+   */
+  const toggle = async (commentId, reactionId) => {
+    // Decide from the stored records, not the local memory of what was given
+    await refreshComment(commentId);
+
+    const recordIds = reactors.get(commentId).get(reactionId)?.get(userId);
+    if (recordIds) {
+      // Remove every record of this viewer, including duplicates from racing tabs
+      await Promise.all(recordIds.map(recordId => storage.delete(getReactionType(commentId), recordId)));
+      console.log('[ReactionService] Removed reaction:', commentId, reactionId);
+    } else {
+      await storage.create(getReactionType(commentId), {
+        comment_id: commentId,
+        user_id: userId,
+        reaction: reactionId,
+        created_at: new Date().toISOString()
+      });
+      console.log('[ReactionService] Added reaction:', commentId, reactionId);
+    }
+
+    await refreshComment(commentId);
+    const counts = await writeBackCounts(commentId);
+    return { reacted: hasReacted(commentId, reactionId), counts };
+  };
+
+  return {
+    refresh,
+    hasReacted,
+    getReactions,
+    toggle
+  };
+}
+
+// Make it globally available
+window.getDanmakuReactions = getDanmakuReactions;
+window.getReactionScore = getReactionScore;
+window.createReactionService = createReactionService;
@@ -0,0 +1,176 @@
+/**
+ * Replay Timeline
+ * Plays the comment stream back at the moments the comments were posted, so a
+ * replay shows how reactions unfolded during the event. Time between comments is
+ * compressed by the chosen speed; seeking skips the comments in between.
+ *
+ * `buildReplayTimeline` buckets the comment times for the density histogram,
+ * `findNextSpike` finds the next busy stretch to jump to.
+ */
+
+const REPLAY_SPEEDS = [1, 2, 4, 8];
+
+const getCommentTime = (comment) => new Date(comment.createdAt).getTime();
+
+/**
+ * Bucket comment times into a histogram
+ * @returns {{ start: number, end: number, bucketSize: number, buckets: number[], peak: number } | null}
+ *   null when no comment has a valid time
+ */
+function buildReplayTimeline(comments, bucketCount = 80) {
+  const times = comments
+    .map(getCommentTime)
+    .filter(time => !Number.isNaN(time))
+    .sort((a, b) => a - b);
+  if (times.length === 0) return null;
+
+  const start = times[0];
+  // A single burst still gets a visible timeline
+  const end = Math.max(times[times.length - 1], start + 60 * 1000);
+  const bucketSize = (end - start) / bucketCount;
+  const buckets = new Array(bucketCount).fill(0);
+  times.forEach(time => {
+    buckets[Math.min(bucketCount - 1, Math.floor((time - start) / bucketSize))] += 1;
+  });
+
+  return { start, end, bucketSize, buckets, peak: Math.max(...buckets) };
+}
+
+// Start of the next bucket that peaks well above the average after `position`, wrapping to the first
+function findNextSpike(timeline, position) {
+  const { start, bucketSize, buckets } = timeline;
+  const mean = buckets.reduce((total, count) => total + count, 0) / buckets.length;
+  const deviation = Math.sqrt(buckets.reduce((total, count) => total + (count - mean) ** 2, 0) / buckets.length);
+  const threshold = Math.max(1, mean + deviation);
+
+  const spikes = [];
+  buckets.forEach((count, index) => {
+    const previous = index > 0 ? buckets[index - 1] : 0;
+    const next = index < buckets.length - 1 ? buckets[index + 1] : 0;
+    // Plateaus count once, at their first bucket
+    if (count >= threshold && count > previous && count >= next) {
+      spikes.push(start + index * bucketSize);
+    }
+  });
+
+  if (spikes.length === 0) return null;
+  return spikes.find(time => time > position) ?? spikes[0];
+}
+
+/**
+ * Create a replay player
+ *
+ * @param {Object} options
+ * @param {Function} options.onEmit - Called with each comment when playback reaches its time
+ * @param {Function} [options.onChange] - Called with { position, playing, speed } on every tick and control change
+ * @param {number} [options.tickInterval] - Ms between playback steps
+ */
+function createTimelineReplay({ onEmit, onChange, tickInterval = 100 }) {
+  // Comments sorted by time; everything before `index` lies before `position`
+  let entries = [];
+  let index = 0;
+  let position = null;
+  let end = null;
+  let speed = 1;
+  let playing = false;
+  let timer = null;
+  let lastTick = 0;
+
+  const getState = () => ({ position, playing, speed });
+  const notify = () => {
+    if (onChange) onChange(getState());
+  };
+
+  const firstIndexFrom = (time) => {
+    const found = entries.findIndex(entry => entry.time >= time);
+    return found === -1 ? entries.length : found;
+  };
+
+  const tick = () => {
+    timer = null;
+    if (!playing) return;
+
+    const now = performance.now();
+    position += (now - lastTick) * speed;
+    lastTick = now;
+
+    const finished = position >= end;
+    while (index < entries.length && (finished || entries[index].time < position)) {
+      onEmit(entries[index].comment);
+      index++;
+    }
+
+    if (finished) {
+      position = end;
+      playing = false;
+      console.log('[TimelineReplay] Reached the end of the timeline');
+    } else {
+      timer = setTimeout(tick, tickInterval);
+    }
+    notify();
+  };
+
+  // Replace the comments, keeping the playback position
+  const setComments = (comments, timeline = buildReplayTimeline(comments)) => {
+    entries = comments
+      .map(comment => ({ comment, time: getCommentTime(comment) }))
+      .filter(entry => !Number.isNaN(entry.time))
+      .sort((a, b) => a.time - b.time);
+    end = timeline ? timeline.end : null;
+    if (position === null && timeline) position = timeline.start;
+    index = position === null ? 0 : firstIndexFrom(position);
+    notify();
+  };
+
+  const play = () => {
+    if (playing || position === null) return;
+    if (position >= end) seek(entries[0].time);
+
+    playing = true;
+    lastTick = performance.now();
+    timer = setTimeout(tick, tickInterval);
+    notify();
+  };
+
+  const pause = () => {
+    playing = false;
+    clearTimeout(timer);
+    timer = null;
+    notify();
+  };
+
+  // Move to a time; comments in between are skipped, not emitted
+  const seek = (time) => {
+    position = Math.min(Math.max(time, entries.length > 0 ? entries[0].time : time), end ?? time);
+    index = firstIndexFrom(position);
+    lastTick = performance.now();
+    notify();
+  };
+
+  const setSpeed = (nextSpeed) => {
+    speed = nextSpeed;
+    notify();
+  };
+
+  const stop = () => {
+    playing = false;
+    clearTimeout(timer);
+    timer = null;
+  };
+
+  return {
+    setComments,
+    play,
+    pause,
+    seek,
+    setSpeed,
+    stop,
+    getState
+  };
+}
+
+// Make it globally available
+window.REPLAY_SPEEDS = REPLAY_SPEEDS;
+window.buildReplayTimeline = buildReplayTimeline;
+window.findNextSpike = findNextSpike;
+window.createTimelineReplay = createTimelineReplay;
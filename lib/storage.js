@@ -0,0 +1,379 @@
+/**
+ * Comment Storage
+ * One interface for all danmaku persistence, with interchangeable backends:
+ * - trickle: the hosted Trickle database (trickle*Object globals)
+ * - indexeddb: a local IndexedDB database, shared between tabs
+ * - memory: an in-process store, optionally seeded with deterministic data
+ *
+ * Every adapter exposes:
+ * - create(type, data) -> object
+ * - list(type, { limit, cursor, descending, sort }) -> { items, nextCursor, total }
+ *   sort is 'createdAt' (default), 'likes' or 'score' (reaction score, see lib/reactions.js),
+ *   total is null when the backend cannot count
+ * - get(type, id) -> object
+ * - update(type, id, data) -> object
+ * - patch(type, id, changes) -> object, merges `changes` into the stored objectData
+ *   so fields written by other code in the meantime are kept. `changes` may be a
+ *   function of the current objectData, called on the freshest read
+ * - delete(type, id)
+ * - subscribe(type, listener) -> unsubscribe, listener({ action, object })
+ *
+ * Adapters also describe what they support in `capabilities` ({ sortByLikes, sortByScore }).
+ *
+ * Objects keep the Trickle shape: { objectId, objectType, objectData, createdAt, updatedAt }
+ *
+ * The backend is picked from `?storage=` in the URL, then the `iphone17_storage`
+ * localStorage key, then `window.DANMAKU_STORAGE_CONFIG.adapter`, then Trickle
+ * when its globals exist, falling back to IndexedDB.
+ */
+
+// Small event hub shared by the adapters for subscribe()
+function createStorageEmitter() {
+  const listeners = new Map();
+
+  return {
+    subscribe(type, listener) {
+      if (!listeners.has(type)) listeners.set(type, new Set());
+      listeners.get(type).add(listener);
+      return () => listeners.get(type).delete(listener);
+    },
+    emit(type, action, object) {
+      const typeListeners = listeners.get(type);
+      if (!typeListeners) return;
+      typeListeners.forEach(listener => {
+        try {
+          listener({ action, object });
+        } catch (error) {
+          console.error('[Storage] Subscriber error:', error);
+        }
+      });
+    }
+  };
+}
+
+function createStorageObject(type, data, id) {
+  const now = new Date().toISOString();
+  return {
+    objectId: id || `obj_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    objectType: type,
+    objectData: { ...data },
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+// Merge patch changes, given as an object or a function of the current data
+function mergeStoragePatch(objectData, changes) {
+  return { ...objectData, ...(typeof changes === 'function' ? changes(objectData) : changes) };
+}
+
+// Sort and cut one page, cursor is the offset of the next page
+function pageStorageObjects(objects, { limit = 100, cursor = null, descending = true, sort = 'createdAt' } = {}) {
+  // Comments stored before reactions existed have no cached score, their likes are the score
+  const getScore = (object) => object.objectData.reaction_score ?? (object.objectData.likes_count || 0);
+  const sorted = [...objects].sort((a, b) => {
+    let diff;
+    if (sort === 'likes') {
+      diff = (a.objectData.likes_count || 0) - (b.objectData.likes_count || 0);
+    } else if (sort === 'score') {
+      diff = getScore(a) - getScore(b);
+    } else {
+      diff = new Date(a.createdAt) - new Date(b.createdAt);
+    }
+    return descending ? -diff : diff;
+  });
+  const offset = cursor ? parseInt(cursor, 10) || 0 : 0;
+  const items = sorted.slice(offset, offset + limit);
+  const nextOffset = offset + items.length;
+  return {
+    items,
+    nextCursor: nextOffset < sorted.length ? String(nextOffset) : null,
+    total: sorted.length
+  };
+}
+
+/**
+ * Trickle adapter - wraps the trickle*Object globals provided by the host
+ * Trickle has no partial update: `patch` re-reads the object right before writing
+ * the merged data.
+ */
+function createTrickleStorage() {
+  const emitter = createStorageEmitter();
+
+  return {
+    name: 'trickle',
+    capabilities: { sortByLikes: false, sortByScore: false },
+    async create(type, data) {
+      const object = await trickleCreateObject(type, data);
+      emitter.emit(type, 'create', object);
+      return object;
+    },
+    async list(type, { limit = 100, cursor = null, descending = true } = {}) {
+      const result = await trickleListObjects(type, limit, descending, cursor || undefined);
+      return { items: result.items || [], nextCursor: result.nextPageToken || null, total: null };
+    },
+    async get(type, id) {
+      return trickleGetObject(type, id);
+    },
+    async update(type, id, data) {
+      const object = await trickleUpdateObject(type, id, data);
+      emitter.emit(type, 'update', object);
+      return object;
+    },
+    async patch(type, id, changes) {
+      const current = await trickleGetObject(type, id);
+      return this.update(type, id, mergeStoragePatch(current.objectData, changes));
+    },
+    async delete(type, id) {
+      await trickleDeleteObject(type, id);
+      emitter.emit(type, 'delete', { objectId: id, objectType: type });
+    },
+    subscribe: emitter.subscribe
+  };
+}
+
+/**
+ * In-memory adapter - data lives as long as the page, handy for tests and demos
+ * @param {Object} [options]
+ * @param {Object<string, Array>} [options.seed] - Initial objects per type
+ */
+function createMemoryStorage({ seed = {} } = {}) {
+  const emitter = createStorageEmitter();
+  const objects = new Map();
+
+  Object.entries(seed).forEach(([type, items]) => {
+    items.forEach(item => {
+      const object = item.objectData
+        ? { ...createStorageObject(type, item.objectData, item.objectId), ...item, objectType: type }
+        : createStorageObject(type, item);
+      objects.set(object.objectId, object);
+    });
+  });
+
+  const requireObject = (type, id) => {
+    const object = objects.get(id);
+    if (!object || object.objectType !== type) {
+      throw new Error(`Object not found: ${type}/${id}`);
+    }
+    return object;
+  };
+
+  return {
+    name: 'memory',
+    capabilities: { sortByLikes: true, sortByScore: true },
+    async create(type, data) {
+      const object = createStorageObject(type, data);
+      objects.set(object.objectId, object);
+      emitter.emit(type, 'create', object);
+      return { ...object };
+    },
+    async list(type, options) {
+      const ofType = Array.from(objects.values()).filter(object => object.objectType === type);
+      return pageStorageObjects(ofType, options);
+    },
+    async get(type, id) {
+      return { ...requireObject(type, id) };
+    },
+    async update(type, id, data) {
+      const object = {
+        ...requireObject(type, id),
+        objectData: { ...data },
+        updatedAt: new Date().toISOString()
+      };
+      objects.set(id, object);
+      emitter.emit(type, 'update', object);
+      return { ...object };
+    },
+    async patch(type, id, changes) {
+      return this.update(type, id, mergeStoragePatch(requireObject(type, id).objectData, changes));
+    },
+    async delete(type, id) {
+      requireObject(type, id);
+      objects.delete(id);
+      emitter.emit(type, 'delete', { objectId: id, objectType: type });
+    },
+    subscribe: emitter.subscribe
+  };
+}
+
+/**
+ * IndexedDB adapter - persists locally and notifies other tabs through BroadcastChannel
+ * @param {Object} [options]
+ * @param {string} [options.dbName]
+ */
+function createIndexedDBStorage({ dbName = 'iphone17_danmaku' } = {}) {
+  const emitter = createStorageEmitter();
+  const STORE = 'objects';
+  let dbPromise = null;
+
+  const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(`${dbName}_changes`) : null;
+  if (channel) {
+    channel.onmessage = (event) => {
+      const { type, action, object } = event.data || {};
+      if (type) emitter.emit(type, action, object);
+    };
+  }
+
+  const notify = (type, action, object) => {
+    emitter.emit(type, action, object);
+    if (channel) channel.postMessage({ type, action, object });
+  };
+
+  const openDB = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(dbName, 1);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(STORE, { keyPath: 'objectId' });
+          store.createIndex('objectType', 'objectType');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  };
+
+  const run = async (mode, operation) => {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE, mode);
+      const request = operation(transaction.objectStore(STORE));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      // Aborts without an error (quota, another tab closing the database) would never settle
+      transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+    });
+  };
+
+  const requireObject = async (type, id) => {
+    const object = await run('readonly', store => store.get(id));
+    if (!object || object.objectType !== type) {
+      throw new Error(`Object not found: ${type}/${id}`);
+    }
+    return object;
+  };
+
+  return {
+    name: 'indexeddb',
+    capabilities: { sortByLikes: true, sortByScore: true },
+    async create(type, data) {
+      const object = createStorageObject(type, data);
+      await run('readwrite', store => store.put(object));
+      notify(type, 'create', object);
+      return object;
+    },
+    async list(type, options) {
+      const ofType = await run('readonly', store => store.index('objectType').getAll(type));
+      return pageStorageObjects(ofType, options);
+    },
+    async get(type, id) {
+      return requireObject(type, id);
+    },
+    async update(type, id, data) {
+      const object = {
+        ...(await requireObject(type, id)),
+        objectData: { ...data },
+        updatedAt: new Date().toISOString()
+      };
+      await run('readwrite', store => store.put(object));
+      notify(type, 'update', object);
+      return object;
+    },
+    // Read and write in one transaction so no other tab can write in between
+    async patch(type, id, changes) {
+      const db = await openDB();
+      const object = await new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE, 'readwrite');
+        const store = transaction.objectStore(STORE);
+        let updated = null;
+        const request = store.get(id);
+        request.onsuccess = () => {
+          const current = request.result;
+          if (!current || current.objectType !== type) {
+            transaction.abort();
+            return;
+          }
+          updated = {
+            ...current,
+            objectData: mergeStoragePatch(current.objectData, changes),
+            updatedAt: new Date().toISOString()
+          };
+          store.put(updated);
+        };
+        transaction.oncomplete = () => resolve(updated);
+        transaction.onabort = () => reject(transaction.error || new Error(`Object not found: ${type}/${id}`));
+      });
+      notify(type, 'update', object);
+      return object;
+    },
+    async delete(type, id) {
+      await requireObject(type, id);
+      await run('readwrite', store => store.delete(id));
+      notify(type, 'delete', { objectId: id, objectType: type });
+    },
+    subscribe: emitter.subscribe
+  };
+}
+
+const storageAdapters = {
+  trickle: createTrickleStorage,
+  indexeddb: createIndexedDBStorage,
+  memory: createMemoryStorage
+};
+
+// An adapter that can't run here (unknown name, or Trickle off the Trickle host)
+// falls back to the default one instead of breaking every comment feature
+function resolveStorageConfig() {
+  const config = { ...(window.DANMAKU_STORAGE_CONFIG || {}) };
+  const fromUrl = new URLSearchParams(window.location.search).get('storage');
+  const fromLocalStorage = localStorage.getItem('iphone17_storage');
+  const hasTrickle = typeof trickleListObjects === 'function';
+  const defaultAdapter = hasTrickle ? 'trickle' : 'indexeddb';
+  const requested = fromUrl || fromLocalStorage || config.adapter || defaultAdapter;
+
+  let adapter = requested;
+  if (!storageAdapters[requested]) {
+    console.warn('[Storage] Unknown storage adapter, using', defaultAdapter, 'instead:', requested);
+    adapter = defaultAdapter;
+  } else if (requested === 'trickle' && !hasTrickle) {
+    console.warn('[Storage] Trickle is not available on this host, using', defaultAdapter, 'instead');
+    adapter = defaultAdapter;
+  }
+  return { ...config, adapter };
+}
+
+/**
+ * Build a storage adapter from config
+ * @param {Object} config
+ * @param {'trickle'|'indexeddb'|'memory'} config.adapter
+ */
+function createCommentStorage(config) {
+  const factory = storageAdapters[config.adapter];
+  if (!factory) {
+    throw new Error(`Unknown storage adapter: ${config.adapter}`);
+  }
+  console.log('[Storage] Using adapter:', config.adapter);
+  return factory(config);
+}
+
+let commentStorageInstance = null;
+
+// Shared storage used by all danmaku code
+function getCommentStorage() {
+  if (!commentStorageInstance) {
+    commentStorageInstance = createCommentStorage(resolveStorageConfig());
+  }
+  return commentStorageInstance;
+}
+
+// Swap the shared storage, e.g. for tests against deterministic data
+function setCommentStorage(storage) {
+  commentStorageInstance = storage;
+}
+
+// Make it globally available
+window.createCommentStorage = createCommentStorage;
+window.createMemoryStorage = createMemoryStorage;
+window.getCommentStorage = getCommentStorage;
+window.setCommentStorage = setCommentStorage;